@@ -1,6 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,56 +15,142 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Mumbai zones with coordinates
-const MUMBAI_ZONES = [
-    { name: 'Colaba', lat: 18.9067, lon: 72.8147 },
-    { name: 'CST', lat: 18.9398, lon: 72.8355 },
-    { name: 'Fort', lat: 18.9338, lon: 72.8356 },
-    { name: 'Marine Lines', lat: 18.9467, lon: 72.8258 },
-    { name: 'Grant Road', lat: 18.9658, lon: 72.8147 },
-    { name: 'Lamington Road', lat: 18.9735, lon: 72.8162 },
-    { name: 'Mazgaon', lat: 18.9697, lon: 72.8434 },
-    { name: 'Byculla', lat: 18.9793, lon: 72.8311 },
-    { name: 'Lalbaug', lat: 18.9896, lon: 72.8313 },
-    { name: 'Parel', lat: 19.0074, lon: 72.8337 },
-    { name: 'Dadar', lat: 19.0183, lon: 72.8420 },
-    { name: 'Sion', lat: 19.0434, lon: 72.8606 },
-    { name: 'Kurla', lat: 19.0728, lon: 72.8826 },
-    { name: 'Ghatkopar', lat: 19.0952, lon: 72.9081 },
-    { name: 'Vikhroli', lat: 19.1055, lon: 72.9264 },
-    { name: 'Thane', lat: 19.1972, lon: 72.9722 },
-    { name: 'Powai', lat: 19.1197, lon: 72.9106 },
-    { name: 'Vashi', lat: 19.0771, lon: 73.0134 }
-];
-
 // Configuration
 const config = {
     OPENWEATHER_API_KEY: process.env.OPENWEATHER_API_KEY || '',
     WEATHERAPI_KEY: process.env.WEATHERAPI_KEY || '',
+    WEATHER_PROVIDERS: (process.env.WEATHER_PROVIDERS || '').split(',').map(id => id.trim()).filter(Boolean),
     TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
     TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID || '',
+    TELEGRAM_API_BASE: (process.env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/$/, ''),
+    TELEGRAM_BOT_MODE: (process.env.TELEGRAM_BOT_MODE || 'off').toLowerCase(),
+    TELEGRAM_WEBHOOK_URL: (process.env.TELEGRAM_WEBHOOK_URL || '').replace(/\/$/, ''),
+    TELEGRAM_WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET || '',
+    TELEGRAM_ADMIN_IDS: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    TELEGRAM_POLL_TIMEOUT: parseInt(process.env.TELEGRAM_POLL_TIMEOUT || '30', 10),
     EMAIL_FROM: process.env.EMAIL_FROM || '',
     EMAIL_TO: process.env.EMAIL_TO || '',
-    EMAIL_PASS: process.env.EMAIL_PASS || ''
+    EMAIL_PASS: process.env.EMAIL_PASS || '',
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS || '400', 10),
+    ALERT_RAINING_MM: parseFloat(process.env.ALERT_RAINING_MM || '1'),
+    ALERT_HEAVY_MM: parseFloat(process.env.ALERT_HEAVY_MM || '7.5'),
+    ALERT_VERY_HEAVY_MM: parseFloat(process.env.ALERT_VERY_HEAVY_MM || '35'),
+    ALERT_HYSTERESIS_MM: parseFloat(process.env.ALERT_HYSTERESIS_MM || '0.5'),
+    ALERT_COOLDOWN_MINUTES: parseFloat(process.env.ALERT_COOLDOWN_MINUTES || '60'),
+    ALERT_ALL_CLEAR_MINUTES: parseFloat(process.env.ALERT_ALL_CLEAR_MINUTES || '60'),
+    ALERT_HEAVY_24H_MM: parseFloat(process.env.ALERT_HEAVY_24H_MM || '64.5'),
+    ALERT_VERY_HEAVY_24H_MM: parseFloat(process.env.ALERT_VERY_HEAVY_24H_MM || '115.6'),
+    FUSION_MAD_K: parseFloat(process.env.FUSION_MAD_K || '3'),
+    ACCUMULATION_MAX_GAP_MINUTES: parseFloat(process.env.ACCUMULATION_MAX_GAP_MINUTES || '90'),
+    FORECAST_REFRESH_MINUTES: parseFloat(process.env.FORECAST_REFRESH_MINUTES || '60'),
+    FORECAST_WARNING_MM: parseFloat(process.env.FORECAST_WARNING_MM || '15'),
+    FORECAST_MIN_PROBABILITY: parseFloat(process.env.FORECAST_MIN_PROBABILITY || '60'),
+    FORECAST_MIN_LEAD_HOURS: parseFloat(process.env.FORECAST_MIN_LEAD_HOURS || '1'),
+    FORECAST_MAX_LEAD_HOURS: parseFloat(process.env.FORECAST_MAX_LEAD_HOURS || '6'),
+    FORECAST_WARNING_COOLDOWN_HOURS: parseFloat(process.env.FORECAST_WARNING_COOLDOWN_HOURS || '6'),
+    GRID_CELLS: parseInt(process.env.GRID_CELLS || '40', 10),
+    GRID_IDW_POWER: parseFloat(process.env.GRID_IDW_POWER || '2'),
+    GRID_MAX_DISTANCE_KM: parseFloat(process.env.GRID_MAX_DISTANCE_KM || '15'),
+    API_KEYS: process.env.API_KEYS || '',
+    AUTH_USERS: process.env.AUTH_USERS || '',
+    SESSION_TTL_HOURS: parseFloat(process.env.SESSION_TTL_HOURS || '12'),
+    TRUST_PROXY: process.env.TRUST_PROXY || '',
+    SCHEDULE_FAST_MINUTES: parseFloat(process.env.SCHEDULE_FAST_MINUTES || '5'),
+    SCHEDULE_WATCH_MINUTES: parseFloat(process.env.SCHEDULE_WATCH_MINUTES || '10'),
+    SCHEDULE_SLOW_MINUTES: parseFloat(process.env.SCHEDULE_SLOW_MINUTES || '30'),
+    SCHEDULE_JITTER: parseFloat(process.env.SCHEDULE_JITTER || '0.1'),
+    SCHEDULE_NEIGHBOUR_KM: parseFloat(process.env.SCHEDULE_NEIGHBOUR_KM || '5'),
+    FETCH_CACHE_TTL_SECONDS: parseFloat(process.env.FETCH_CACHE_TTL_SECONDS || '240'),
+    FETCH_COORD_PRECISION: parseInt(process.env.FETCH_COORD_PRECISION || '2', 10),
+    PROVIDER_BUDGET_FRACTION: parseFloat(process.env.PROVIDER_BUDGET_FRACTION || '0.9'),
+    PROVIDER_DAILY_BUDGETS: (process.env.PROVIDER_DAILY_BUDGETS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+        .reduce((budgets, entry) => {
+            const [id, budget] = entry.split(':');
+            budgets[id] = parseInt(budget, 10);
+            return budgets;
+        }, {}),
+    BREAKER_FAILURE_THRESHOLD: parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '5', 10),
+    BREAKER_COOLDOWN_MINUTES: parseFloat(process.env.BREAKER_COOLDOWN_MINUTES || '5'),
+    COVERAGE_MIN_PROVIDERS: parseInt(process.env.COVERAGE_MIN_PROVIDERS || '2', 10),
+    COVERAGE_MAX_ZONES_WITHOUT_DATA: parseInt(process.env.COVERAGE_MAX_ZONES_WITHOUT_DATA || '3', 10),
+    OPERATOR_TELEGRAM_CHAT_IDS: (process.env.OPERATOR_TELEGRAM_CHAT_IDS || process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    OPERATOR_EMAILS: (process.env.OPERATOR_EMAILS || '').split(',').map(address => address.trim()).filter(Boolean),
+    DIGESTS: (process.env.DIGESTS !== undefined ? process.env.DIGESTS : 'daily,weekly').split(',').map(period => period.trim().toLowerCase()).filter(Boolean),
+    DIGEST_TIME: process.env.DIGEST_TIME || '08:30',
+    DIGEST_WEEKLY_DAY: (process.env.DIGEST_WEEKLY_DAY || 'monday').toLowerCase(),
+    DIGEST_TOP_ZONES: parseInt(process.env.DIGEST_TOP_ZONES || '5', 10),
+    FLOOD_DRAINAGE_CAPACITY_MM: parseFloat(process.env.FLOOD_DRAINAGE_CAPACITY_MM || '25'),
+    FLOOD_RISK_3H_MM: parseFloat(process.env.FLOOD_RISK_3H_MM || '50'),
+    TIDE_TABLE_FILE: process.env.TIDE_TABLE_FILE || '',
+    TIDE_HIGH_METRES: parseFloat(process.env.TIDE_HIGH_METRES || '4.5'),
+    TIDE_WINDOW_HOURS: parseFloat(process.env.TIDE_WINDOW_HOURS || '2'),
+    DEFAULT_LANGUAGE: process.env.DEFAULT_LANGUAGE || 'en',
+    MODE_CALENDAR: process.env.MODE_CALENDAR !== undefined ? process.env.MODE_CALENDAR : 'pre-monsoon:05-01:06-06,monsoon:06-07:10-15',
+    CHANNEL_TIMEOUT_SECONDS: parseFloat(process.env.CHANNEL_TIMEOUT_SECONDS || '10'),
+    OUTBOX_MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10),
+    OUTBOX_RETRY_BASE_SECONDS: parseFloat(process.env.OUTBOX_RETRY_BASE_SECONDS || '30'),
+    OUTBOX_RETRY_MAX_MINUTES: parseFloat(process.env.OUTBOX_RETRY_MAX_MINUTES || '30'),
+    OUTBOX_RETENTION_DAYS: parseFloat(process.env.OUTBOX_RETENTION_DAYS || '7')
 };
 
+const HISTORY_DIR = path.join(config.DATA_DIR, 'history');
+const ALERTS_FILE = path.join(config.DATA_DIR, 'alerts.jsonl');
+const ALERT_STATE_FILE = path.join(config.DATA_DIR, 'alert-state.json');
+const SUBSCRIBERS_FILE = path.join(config.DATA_DIR, 'subscribers.json');
+const FORECAST_WARNINGS_FILE = path.join(config.DATA_DIR, 'forecast-warnings.json');
+const SOURCE_RELIABILITY_FILE = path.join(config.DATA_DIR, 'source-reliability.json');
+const ZONES_SEED_FILE = process.env.ZONES_FILE || path.join(__dirname, 'zones.json');
+const ZONES_FILE = path.join(config.DATA_DIR, 'zones.json');
+const AUDIT_FILE = path.join(config.DATA_DIR, 'audit.jsonl');
+const PROVIDER_USAGE_FILE = path.join(config.DATA_DIR, 'provider-usage.json');
+const MONITORING_STATE_FILE = path.join(config.DATA_DIR, 'monitoring.json');
+const DIGEST_STATE_FILE = path.join(config.DATA_DIR, 'digests.json');
+const TIDES_FILE = path.join(config.DATA_DIR, 'tides.json');
+const MODES_FILE = path.join(config.DATA_DIR, 'modes.json');
+const CHANNELS_FILE = path.join(config.DATA_DIR, 'channels.json');
+const OUTBOX_FILE = path.join(config.DATA_DIR, 'outbox.json');
+const TEMPLATES_FILE = path.join(config.DATA_DIR, 'templates.json');
+const DASHBOARD_URL = 'https://rain-weather-updates-production.up.railway.app';
+const CUSTOM_PROVIDERS_FILE = process.env.CUSTOM_PROVIDERS_FILE || path.join(config.DATA_DIR, 'providers.json');
+const ALERT_HISTORY_SIZE = 100;
+
 // Global state
+let monitoredZones = [];
 let weatherData = {};
 let alertHistory = [];
 let isMonitoringActive = false;
 let lastRealDataUpdate = null;
+let lastUpdateAttempt = null;
+let zoneAlertStates = {};
+let subscribers = [];
+let zoneForecasts = {};
+let zoneRainSamples = {};
+let sourceReliability = {};
+let forecastWarningState = {};
+let tideTable = [];
 
 console.log('🔧 Configuration Status:');
 console.log('- OpenWeather API:', config.OPENWEATHER_API_KEY ? '✅ Configured' : '❌ Missing');
 console.log('- WeatherAPI.com:', config.WEATHERAPI_KEY ? '✅ Configured' : '❌ Missing');
+console.log('- Provider order:', config.WEATHER_PROVIDERS.length > 0 ? config.WEATHER_PROVIDERS.join(', ') : 'all registered');
 console.log('- Telegram:', (config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_CHAT_ID) ? '✅ Configured' : '❌ Missing');
+console.log('- Telegram bot commands:', config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_BOT_MODE !== 'off' ? `✅ ${config.TELEGRAM_BOT_MODE}` : '⏸️ Off');
 console.log('- Email:', (config.EMAIL_FROM && config.EMAIL_TO) ? '✅ Configured' : '❌ Missing');
+console.log('- Data directory:', config.DATA_DIR);
+console.log('- Trust proxy:', config.TRUST_PROXY || 'off');
 
 function log(message, type = 'INFO') {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] [${type}] ${message}`);
 }
 
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 function getRainfallIntensity(mm) {
     if (mm <= 0.01) return 'No Rain';  // Changed threshold - anything below 0.01mm is considered no rain
     if (mm < 2.5) return 'Light';
@@ -70,718 +159,6094 @@ function getRainfallIntensity(mm) {
     return 'Very Heavy';
 }
 
-function isMonitoringSeason() {
-    const month = new Date().getMonth() + 1;
-    return month >= 7 || month <= 1;
+// **LOCALISATION**
+// Message catalogues live in locales/<language>.json. Keys are dotted paths, and
+// placeholders are {name}. When params.count is 1, a "<key>_one" entry is used if the
+// catalogue has one. Anything missing falls back to English, then to the key itself.
+// Zone names are keyed by zone id under "zones". A zone without a translation keeps
+// its own name. Numbers and times stay in Latin digits in every language so they
+// read the same as the mm/hr figures beside them.
+const LANGUAGES = ['en', 'mr', 'hi'];
+const catalogues = Object.fromEntries(LANGUAGES.map(language => [language, require(`./locales/${language}.json`)]));
+
+function resolveLanguage(language) {
+    if (LANGUAGES.includes(language)) return language;
+    return LANGUAGES.includes(config.DEFAULT_LANGUAGE) ? config.DEFAULT_LANGUAGE : 'en';
 }
 
-// **ACCURATE OPENWEATHERMAP FETCHING**
-async function fetchOpenWeatherData(zone) {
-    if (!config.OPENWEATHER_API_KEY) return null;
-    
-    try {
-        const axios = require('axios');
-        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${zone.lat}&lon=${zone.lon}&appid=${config.OPENWEATHER_API_KEY}&units=metric`;
-        
-        const response = await axios.get(url, { timeout: 10000 });
-        const data = response.data;
-        
-        // FIXED: Better rainfall extraction
-        let rainfall = 0;
-        if (data.rain) {
-            rainfall = data.rain['1h'] || data.rain['3h'] || 0;
-        }
-        
-        // If no rain object but weather shows rain, still report 0
-        if (!data.rain && data.weather[0].main.toLowerCase().includes('rain')) {
-            rainfall = 0.01; // Minimal rain indication
-        }
-        
-        // If weather is clear/sunny, force rainfall to 0
-        const weatherMain = data.weather[0].main.toLowerCase();
-        if (weatherMain === 'clear' || weatherMain === 'sunny' || data.clouds.all < 20) {
-            rainfall = 0;
+// English underneath, so a key missing from a catalogue still has a value
+function getCatalogue(language) {
+    return mergeCatalogue(catalogues.en, catalogues[resolveLanguage(language)]);
+}
+
+function mergeCatalogue(base, overrides) {
+    return Object.fromEntries(Object.keys({ ...base, ...overrides }).map(key => {
+        const value = overrides[key];
+        if (value && typeof value === 'object' && base[key] && typeof base[key] === 'object') return [key, mergeCatalogue(base[key], value)];
+        return [key, value !== undefined ? value : base[key]];
+    }));
+}
+
+function lookupMessage(catalogue, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+function translate(language, key, params = {}) {
+    const names = params.count === 1 ? [`${key}_one`, key] : [key];
+    const text = [catalogues[language], catalogues.en]
+        .flatMap(catalogue => names.map(name => lookupMessage(catalogue, name)))
+        .find(value => typeof value === 'string');
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? params[name] : match));
+}
+
+// 'Very Heavy' → 'veryHeavy', for the labels used as values in readings
+function toMessageKey(label) {
+    return String(label).toLowerCase().replace(/[^a-z0-9]+(.)/g, (match, char) => char.toUpperCase());
+}
+
+// Returns t(key, params) bound to one language, with helpers for the values that
+// appear in every message
+function translator(language) {
+    const resolved = resolveLanguage(language);
+    const t = (key, params) => translate(resolved, key, params);
+    t.language = resolved;
+    t.zone = name => {
+        const zone = monitoredZones.find(z => z.name === name);
+        const localised = zone ? lookupMessage(catalogues[resolved], `zones.${zone.id}`) : undefined;
+        return typeof localised === 'string' ? localised : name;
+    };
+    t.intensity = label => translate(resolved, `intensity.${toMessageKey(label)}`);
+    t.imd = label => translate(resolved, `imd.${toMessageKey(label)}`);
+    t.date = (value, options = {}) => new Date(value).toLocaleString(`${translate(resolved, 'meta.locale')}-u-nu-latn`, {
+        timeZone: 'Asia/Kolkata',
+        ...options
+    });
+    return t;
+}
+
+// **TEMPLATES**
+// Rain alerts and digests are rendered from named templates. The defaults live in
+// templates/<id>.txt|.html, and an admin can replace any of them through
+// /api/templates; replacements are saved to DATA_DIR/templates.json.
+// The syntax is a small, logic-less subset of Mustache:
+//   {{name}} / {{a.b.c}}       a value from the context, HTML-escaped in HTML templates
+//   {{#name}}...{{/name}}      repeated for each item of a list, or shown once if truthy
+//   {{^name}}...{{/name}}      shown when the value is missing, false or an empty list
+//   {{! comment }}
+// Inside a list, {{@index}} (counting from 1), {{@first}} and {{@last}} describe the
+// current item. A section tag alone on its line takes the line with it, so templates
+// can be laid out one tag per line. Lookups only see plain data: a template can't call
+// code, and the only unescaped HTML it can insert is the charts the server draws.
+const TEMPLATE_DEFINITIONS = {
+    'rain-alert-text': { name: 'Rain alert (Telegram and other text channels)', format: 'text', kind: 'rain-alert' },
+    'rain-alert-html': { name: 'Rain alert (email)', format: 'html', kind: 'rain-alert' },
+    'digest-text': { name: 'Digest (Telegram and other text channels)', format: 'text', kind: 'digest' },
+    'digest-html': { name: 'Digest (email)', format: 'html', kind: 'digest' }
+};
+const MAX_TEMPLATE_LENGTH = 100 * 1024;
+const TRUSTED_HTML = Symbol('trustedHtml');
+const defaultTemplates = Object.fromEntries(Object.entries(TEMPLATE_DEFINITIONS).map(([id, { format }]) =>
+    [id, fs.readFileSync(path.join(__dirname, 'templates', `${id}.${format === 'html' ? 'html' : 'txt'}`), 'utf8')]));
+let templateOverrides = {};
+const parsedTemplates = new Map();
+
+// Server-rendered markup (the digest charts) that HTML templates may insert as-is
+function trustedHtml(html) {
+    return { [TRUSTED_HTML]: html };
+}
+
+// Throws with the line number when the template doesn't parse
+function parseTemplate(source) {
+    const tokens = [];
+    // A '{{' left in the text is a tag that was never closed
+    const pushText = (start, end) => {
+        const value = source.slice(start, end);
+        const stray = value.indexOf('{{');
+        if (stray !== -1) throw new Error(`Unterminated tag on line ${source.slice(0, start + stray).split('\n').length}`);
+        tokens.push({ type: 'text', value });
+    };
+    const tagPattern = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+    let last = 0;
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        if (match.index > last) pushText(last, match.index);
+        const line = source.slice(0, match.index).split('\n').length;
+        const kind = { '#': 'section', '^': 'inverted', '/': 'close', '!': 'comment' }[match[1]] || 'variable';
+        if (kind !== 'comment' && !/^(\.|@?[\w-]+(\.[\w-]+)*)$/.test(match[2])) {
+            throw new Error(`Invalid placeholder "{{${match[1]}${match[2]}}}" on line ${line}`);
         }
-        
-        const weatherInfo = {
-            zone: zone.name,
-            rainfall: Math.max(0, rainfall), // Ensure never negative
-            intensity: getRainfallIntensity(rainfall),
-            temperature: Math.round(data.main.temp),
-            humidity: data.main.humidity,
-            pressure: data.main.pressure,
-            windSpeed: data.wind ? data.wind.speed : 0,
-            cloudCover: data.clouds.all,
-            description: data.weather[0].description,
-            weatherMain: data.weather[0].main,
-            timestamp: new Date().toISOString(),
-            source: 'OpenWeatherMap',
-            realData: true
-        };
+        tokens.push({ type: kind, name: match[2], line });
+        last = tagPattern.lastIndex;
+    }
+    if (last < source.length) pushText(last, source.length);
 
-        log(`✅ OpenWeather (${zone.name}): ${weatherMain} - ${rainfall.toFixed(2)}mm/hr, ${data.main.temp}°C, clouds: ${data.clouds.all}%`);
-        return weatherInfo;
-        
-    } catch (error) {
-        log(`❌ OpenWeather error for ${zone.name}: ${error.message}`, 'ERROR');
-        return null;
+    // A section, close or comment tag alone on its line removes the whole line
+    tokens.forEach((token, i) => {
+        if (token.type === 'text' || token.type === 'variable') return;
+        const before = tokens[i - 1];
+        const after = tokens[i + 1];
+        const startsLine = i === 0 || (before.type === 'text' && /(^|\n)[ \t]*$/.test(before.value));
+        const endsLine = !after || (after.type === 'text' && /^[ \t]*(\r?\n|$)/.test(after.value));
+        if (!startsLine || !endsLine) return;
+        if (before) before.value = before.value.replace(/[ \t]*$/, '');
+        if (after) after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+    });
+
+    const root = { children: [] };
+    const open = [root];
+    tokens.forEach(token => {
+        const parent = open[open.length - 1];
+        if (token.type === 'text' || token.type === 'variable') {
+            parent.children.push(token);
+        } else if (token.type === 'section' || token.type === 'inverted') {
+            const node = { ...token, children: [] };
+            parent.children.push(node);
+            open.push(node);
+        } else if (token.type === 'close') {
+            if (parent === root) throw new Error(`Unexpected {{/${token.name}}} on line ${token.line}`);
+            if (parent.name !== token.name) {
+                throw new Error(`{{/${token.name}}} on line ${token.line} does not close {{#${parent.name}}} from line ${parent.line}`);
+            }
+            open.pop();
+        }
+    });
+    if (open.length > 1) {
+        const unclosed = open[open.length - 1];
+        throw new Error(`{{#${unclosed.name}}} on line ${unclosed.line} is never closed`);
     }
+    return root.children;
 }
 
-// **ACCURATE WEATHERAPI.COM FETCHING**
-async function fetchWeatherAPIData(zone) {
-    if (!config.WEATHERAPI_KEY) return null;
-    
-    try {
-        const axios = require('axios');
-        const url = `https://api.weatherapi.com/v1/current.json?key=${config.WEATHERAPI_KEY}&q=${zone.lat},${zone.lon}&aqi=no`;
-        
-        const response = await axios.get(url, { timeout: 10000 });
-        const data = response.data;
-        
-        const current = data.current;
-        let rainfall = current.precip_mm || 0;
-        
-        // If condition is clear/sunny, force rainfall to 0
-        const condition = current.condition.text.toLowerCase();
-        if (condition.includes('sunny') || condition.includes('clear') || condition.includes('fair')) {
-            rainfall = 0;
-        }
-        
-        const weatherInfo = {
-            zone: zone.name,
-            rainfall: Math.max(0, rainfall),
-            intensity: getRainfallIntensity(rainfall),
-            temperature: Math.round(current.temp_c),
-            humidity: current.humidity,
-            pressure: current.pressure_mb,
-            windSpeed: current.wind_kph / 3.6,
-            cloudCover: current.cloud,
-            description: condition,
-            weatherMain: current.condition.text,
-            timestamp: new Date().toISOString(),
-            source: 'WeatherAPI.com',
-            realData: true
-        };
+// Names resolve from the innermost section outwards. Only own properties are read,
+// so nothing on a prototype is reachable.
+function lookupTemplateValue(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+    const [head, ...rest] = name.split('.');
+    const has = (value, key) => value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
 
-        log(`✅ WeatherAPI (${zone.name}): ${current.condition.text} - ${rainfall.toFixed(2)}mm/hr, ${current.temp_c}°C`);
-        return weatherInfo;
-        
-    } catch (error) {
-        log(`❌ WeatherAPI error for ${zone.name}: ${error.message}`, 'ERROR');
-        return null;
+    for (let i = stack.length - 1; i >= 0; i--) {
+        if (has(stack[i], head)) {
+            return rest.reduce((value, key) => (has(value, key) ? value[key] : undefined), stack[i][head]);
+        }
     }
+    return undefined;
 }
 
-// **ACCURATE OPEN-METEO FETCHING (No API Key Needed)**
-async function fetchOpenMeteoWeather(zone) {
-    try {
-        const axios = require('axios');
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${zone.lat}&longitude=${zone.lon}&current=temperature_2m,relative_humidity_2m,precipitation,rain,weather_code,cloud_cover,pressure_msl,wind_speed_10m&timezone=Asia/Kolkata`;
-        
-        const response = await axios.get(url, { timeout: 10000 });
-        const data = response.data;
-        
-        const current = data.current;
-        let rainfall = current.precipitation || current.rain || 0;
-        
-        // Weather code interpretation for clear conditions
-        const weatherCode = current.weather_code;
-        if (weatherCode === 0 || weatherCode === 1) { // Clear sky or mainly clear
-            rainfall = 0;
+function formatTemplateValue(value, html) {
+    if (html && value && value[TRUSTED_HTML] !== undefined) return value[TRUSTED_HTML];
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    return html ? escapeHtml(value) : String(value);
+}
+
+function renderTemplateNodes(nodes, stack, html) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        const value = lookupTemplateValue(stack, node.name);
+        if (node.type === 'variable') return formatTemplateValue(value, html);
+
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+        if (node.type === 'inverted') return empty ? renderTemplateNodes(node.children, stack, html) : '';
+        if (empty) return '';
+        if (!Array.isArray(value)) return renderTemplateNodes(node.children, [...stack, value], html);
+
+        return value.map((item, index) => renderTemplateNodes(node.children, [
+            ...stack,
+            { '@index': index + 1, '@first': index === 0, '@last': index === value.length - 1 },
+            item
+        ], html)).join('');
+    }).join('');
+}
+
+// Text messages are trimmed so a template's final newline doesn't end up in the message
+function renderTemplate(nodes, context, format) {
+    const output = renderTemplateNodes(nodes, [context], format === 'html');
+    return format === 'html' ? output : output.trimEnd();
+}
+
+function loadTemplates() {
+    templateOverrides = loadJSONFile(TEMPLATES_FILE, {});
+    parsedTemplates.clear();
+    Object.entries(templateOverrides).forEach(([id, override]) => {
+        try {
+            if (!TEMPLATE_DEFINITIONS[id]) throw new Error('unknown template');
+            parseTemplate(override.source);
+        } catch (error) {
+            log(`📝 Ignoring saved template ${id}: ${error.message}`, 'ERROR');
+            delete templateOverrides[id];
         }
-        
-        const weatherInfo = {
-            zone: zone.name,
-            rainfall: Math.max(0, rainfall),
-            intensity: getRainfallIntensity(rainfall),
-            temperature: Math.round(current.temperature_2m),
-            humidity: current.relative_humidity_2m,
-            pressure: Math.round(current.pressure_msl),
-            windSpeed: current.wind_speed_10m,
-            cloudCover: current.cloud_cover,
-            description: getWeatherDescription(weatherCode),
-            weatherMain: getWeatherDescription(weatherCode),
-            timestamp: new Date().toISOString(),
-            source: 'Open-Meteo',
-            realData: true
-        };
+    });
+    log(`💾 Loaded ${Object.keys(templateOverrides).length} customised templates`);
+}
 
-        log(`✅ Open-Meteo (${zone.name}): Code ${weatherCode} (${getWeatherDescription(weatherCode)}) - ${rainfall.toFixed(2)}mm/hr, ${current.temperature_2m}°C`);
-        return weatherInfo;
-        
+function saveTemplates() {
+    saveJSONFile(TEMPLATES_FILE, templateOverrides);
+}
+
+function getTemplateSource(id) {
+    return templateOverrides[id] ? templateOverrides[id].source : defaultTemplates[id];
+}
+
+// Renders a named template; parsed templates are cached until the template changes
+function renderNamedTemplate(id, context) {
+    if (!parsedTemplates.has(id)) parsedTemplates.set(id, parseTemplate(getTemplateSource(id)));
+    return renderTemplate(parsedTemplates.get(id), context, TEMPLATE_DEFINITIONS[id].format);
+}
+
+// Returns an error string, or null when the source is usable
+function validateTemplateSource(source) {
+    if (typeof source !== 'string' || source.trim() === '') return 'source must be a non-empty string';
+    if (source.length > MAX_TEMPLATE_LENGTH) return `source must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+    try {
+        parseTemplate(source);
     } catch (error) {
-        log(`❌ Open-Meteo error for ${zone.name}: ${error.message}`, 'ERROR');
-        return null;
+        return error.message;
     }
+    return null;
 }
 
-function getWeatherDescription(code) {
-    const weatherCodes = {
-        0: 'clear sky',
-        1: 'mainly clear', 
-        2: 'partly cloudy',
-        3: 'overcast',
-        45: 'fog',
-        48: 'depositing rime fog',
-        51: 'light drizzle',
-        53: 'moderate drizzle', 
-        55: 'dense drizzle',
-        61: 'slight rain',
-        63: 'moderate rain',
-        65: 'heavy rain',
-        80: 'slight rain showers',
-        81: 'moderate rain showers',
-        82: 'violent rain showers'
+function serialiseTemplate(id, withSource = false) {
+    const override = templateOverrides[id];
+    return {
+        id,
+        ...TEMPLATE_DEFINITIONS[id],
+        customised: !!override,
+        updatedAt: override ? override.updatedAt : null,
+        updatedBy: override ? override.updatedBy : null,
+        ...(withSource ? { source: getTemplateSource(id), defaultSource: defaultTemplates[id] } : {})
     };
-    return weatherCodes[code] || 'unknown';
 }
 
-// **SMART WEATHER DATA VALIDATION**
-async function fetchRealWeatherData(zone) {
-    log(`🔄 Fetching accurate weather for ${zone.name}...`);
-    
-    // Try multiple APIs
-    const promises = [
-        fetchOpenWeatherData(zone),
-        fetchWeatherAPIData(zone), 
-        fetchOpenMeteoWeather(zone)
-    ];
-    
-    const results = await Promise.allSettled(promises);
-    const successfulSources = [];
-    
-    results.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-            successfulSources.push(result.value);
+// Dotted names a template can use, read off a sample context ("rain[].zone.name")
+function listTemplateFields(value, prefix = '') {
+    if (Array.isArray(value)) return value.length > 0 ? listTemplateFields(value[0], `${prefix}[]`) : [`${prefix}[]`];
+    if (value === null || typeof value !== 'object' || value[TRUSTED_HTML] !== undefined) return [prefix];
+    return Object.entries(value).flatMap(([key, child]) => listTemplateFields(child, prefix ? `${prefix}.${key}` : key));
+}
+
+// Made-up readings for previews: a downpour, heavy and light rain, a zone whose rain
+// has just stopped and a dry one, on the first five monitored zones
+function buildSampleWeatherData(now = Date.now()) {
+    const rates = [42.5, 12.4, 3.2, 0, 0];
+    return Object.fromEntries(monitoredZones.slice(0, rates.length).map((zone, i) => {
+        const rainfall = rates[i];
+        const window = hours => {
+            const mm = roundTo(rainfall * Math.sqrt(hours) * 0.8, 1);
+            return { mm, category: getIMDCategory(mm) };
+        };
+        const since0830 = window(10);
+        const score = Math.min(100, Math.round(rainfall * 1.8));
+        const { level } = FLOOD_RISK_LEVELS.find(l => score >= l.min);
+        const reasonKeys = rainfall > 0
+            ? [{ key: 'drainage', params: { rate: rainfall.toFixed(1), percent: Math.round(rainfall / 25 * 100), capacity: 25 } }]
+            : [];
+        return [zone.name, {
+            zone: zone.name,
+            rainfall,
+            intensity: getRainfallIntensity(rainfall),
+            temperature: 27,
+            humidity: rainfall > 0 ? 94 : 78,
+            description: rainfall > 0 ? 'moderate rain' : 'overcast clouds',
+            sources: 'OpenWeatherMap, WeatherAPI.com, Open-Meteo',
+            realData: true,
+            lastUpdated: new Date(now).toISOString(),
+            accumulation: {
+                '1h': window(1),
+                '3h': window(3),
+                '6h': window(6),
+                '24h': window(24),
+                since0830: { ...since0830, since: new Date(getIMDDayStart(now)).toISOString() }
+            },
+            fusion: { rainfall: { sources: 3, confidence: 0.92, spread: roundTo(rainfall * 0.05, 1), outliers: [] } },
+            floodRisk: {
+                score,
+                level,
+                label: formatFloodRiskLevel(level),
+                reasons: reasonKeys.map(reason => formatFloodRiskReason(reason)),
+                reasonKeys
+            }
+        }];
+    }));
+}
+
+// What a rain alert sent now would cover: onset for every zone that is raining and an
+// all-clear for zones whose rain is subsiding. Sample data clears its fourth zone.
+function buildPreviewTransitions(data, sample) {
+    const highTide = getActiveHighTide();
+    const sampleCleared = sample ? Object.keys(data)[3] : null;
+
+    return Object.values(data).filter(zone => zone.realData).flatMap(zone => {
+        const level = classifyRainLevel(zone.rainfall, 0, zone.accumulation);
+        if (level > 0) {
+            return [{ type: 'onset', from: 'clear', to: RAIN_LEVELS[level], weather: zone, highTide: level >= 2 ? highTide : null }];
+        }
+        const state = sample ? null : zoneAlertStates[zone.zone];
+        if (zone.zone === sampleCleared || (state && state.state === 'subsiding')) {
+            return [{ type: 'all-clear', from: 'subsiding', to: 'clear', weather: zone, peakRainfall: state ? state.peakRainfall : 9.4 }];
         }
+        return [];
     });
-    
-    if (successfulSources.length === 0) {
-        log(`❌ No weather data available for ${zone.name}`, 'ERROR');
+}
+
+// A digest summary built from sample readings, shaped like summarizeDigest()'s
+function buildSampleDigest(period, data, end = Date.now()) {
+    const { days, bucketMs } = DIGEST_PERIODS[period];
+    const bucketCount = Math.round(days * DAY_MS / bucketMs);
+    const zones = Object.values(data).map((zone, i) => {
+        const total24h = zone.accumulation['24h'].mm;
         return {
-            zone: zone.name,
-            rainfall: 0,
-            intensity: 'No Data',
-            temperature: 29, // Default Mumbai temp
-            humidity: 75,
-            description: 'Data unavailable',
-            timestamp: new Date().toISOString(),
-            source: 'None',
-            realData: false
+            zone: zone.zone,
+            readings: 288,
+            total24h,
+            total7d: roundTo(total24h * 2.5, 1),
+            peak: zone.rainfall > 0 ? { rainfall: roundTo(zone.rainfall * 1.3, 1), intensity: getRainfallIntensity(zone.rainfall * 1.3), at: new Date(end - (i + 2) * HOUR_MS).toISOString() } : null,
+            alerts: { rain: zone.rainfall > 0 ? 2 : 0, forecast: zone.rainfall > 7.5 ? 1 : 0, allClear: zone.rainfall > 0 ? 1 : 0 },
+            // A single burst of rain around the middle of the period
+            series: Array.from({ length: bucketCount }, (_, b) => roundTo(Math.max(0, 1 - Math.abs(b - bucketCount / 2) / 4) * total24h / 4, 1))
         };
-    }
-    
-    // **INTELLIGENT DATA VALIDATION**
-    let finalRainfall = 0;
-    let clearWeatherCount = 0;
-    let rainyWeatherCount = 0;
-    
-    successfulSources.forEach(source => {
-        if (source.rainfall <= 0.01) {
-            clearWeatherCount++;
-        } else {
-            rainyWeatherCount++;
-        }
     });
-    
-    // If majority say it's clear, it's clear
-    if (clearWeatherCount > rainyWeatherCount) {
-        finalRainfall = 0;
-        log(`✅ Weather validation: ${clearWeatherCount}/${successfulSources.length} sources report clear weather - Setting rainfall to 0`);
-    } else {
-        // Average the rainfall from sources that report rain
-        const rainSources = successfulSources.filter(s => s.rainfall > 0.01);
-        if (rainSources.length > 0) {
-            finalRainfall = rainSources.reduce((sum, s) => sum + s.rainfall, 0) / rainSources.length;
-            log(`✅ Weather validation: ${rainyWeatherCount}/${successfulSources.length} sources report rain - Average: ${finalRainfall.toFixed(2)}mm`);
-        }
+    return summarizeDigest({ period, from: new Date(end - days * DAY_MS).toISOString(), to: new Date(end).toISOString(), bucketMs, zones });
+}
+
+// Builds the context a template would be rendered with, from live or sample data
+async function buildTemplatePreviewContext(id, { language, data: source = 'current', period = 'daily' }) {
+    const { kind } = TEMPLATE_DEFINITIONS[id];
+    const sample = source === 'sample';
+    const data = sample ? buildSampleWeatherData() : weatherData;
+
+    if (kind === 'digest') {
+        const summary = sample ? buildSampleDigest(period, data) : summarizeDigest(await buildDigest(period));
+        return buildDigestContext(summary, language);
     }
-    
-    // Use the most reliable source for other data
-    const primarySource = successfulSources.find(s => s.source === 'OpenWeatherMap') || 
-                          successfulSources.find(s => s.source === 'WeatherAPI.com') || 
-                          successfulSources[0];
-    
-    const validatedWeather = {
-        zone: zone.name,
-        rainfall: Math.round(finalRainfall * 100) / 100, // Round to 2 decimals
-        intensity: getRainfallIntensity(finalRainfall),
-        temperature: Math.round(successfulSources.reduce((sum, s) => sum + s.temperature, 0) / successfulSources.length),
-        humidity: Math.round(successfulSources.reduce((sum, s) => sum + s.humidity, 0) / successfulSources.length),
-        pressure: primarySource.pressure,
-        windSpeed: primarySource.windSpeed,
-        cloudCover: primarySource.cloudCover,
-        description: finalRainfall > 0.01 ? 'rain detected' : primarySource.description,
-        weatherMain: finalRainfall > 0.01 ? 'Rain' : 'Clear',
-        timestamp: new Date().toISOString(),
-        sources: successfulSources.map(s => s.source).join(', '),
-        validation: `${clearWeatherCount} clear, ${rainyWeatherCount} rain`,
-        realData: true,
-        accuracy: successfulSources.length > 1 ? 'High (Multi-API Validated)' : 'Medium (Single-API)'
-    };
-    
-    log(`✅ Final weather for ${zone.name}: ${finalRainfall.toFixed(2)}mm/hr (${validatedWeather.intensity}) - ${validatedWeather.sources}`);
-    return validatedWeather;
+    return buildRainAlertContext(buildPreviewTransitions(data, sample), new Date(), null, language, data);
 }
 
-// **FIXED EMAIL FUNCTION**
-async function sendEmailAlert(subject, htmlContent) {
-    if (!config.EMAIL_FROM || !config.EMAIL_TO || !config.EMAIL_PASS) {
-        return { success: false, error: 'Email configuration missing' };
+// **WEATHER PROVIDER ADAPTERS**
+// Every weather source is a plain adapter object registered with
+// registerWeatherProvider(). The fetch code only sees the adapter interface:
+//
+//   id, name            - registry key and the label used in readings
+//   requiresKey         - whether isConfigured() depends on an API key
+//   capabilities        - { current, forecast }
+//   rateLimits          - { perMinute, perDay, concurrency } published free-tier limits
+//   fieldMap            - where each normalised field comes from, and its unit
+//   currentUrl(zone)    - request URL for current conditions
+//   parseCurrent(data)  - response body → { rainfall, temperature, humidity, pressure,
+//                         windSpeed (m/s), cloudCover, description, weatherMain }
+//   forecastUrl(zone)   - request URL for the hourly forecast (forecast providers)
+//   parseForecast(data) - response body → [{ time (ms, hour start), precipitation, probability }]
+//
+// parseCurrent/parseForecast are pure, so each adapter can be checked against a
+// recorded response body without any network access.
+const weatherProviders = new Map();
+
+function registerWeatherProvider(provider) {
+    if (!provider.id || !provider.name || typeof provider.parseCurrent !== 'function') {
+        throw new Error(`Weather provider ${provider.id || '(unnamed)'} must define id, name and parseCurrent()`);
     }
+    weatherProviders.set(provider.id, {
+        requiresKey: false,
+        isConfigured: () => true,
+        capabilities: { current: true, forecast: false },
+        rateLimits: {},
+        fieldMap: {},
+        ...provider
+    });
+}
 
-    try {
-        // Use require instead of dynamic import
-        const nodemailer = require('nodemailer');
-        
-        log(`📧 Creating email transporter for: ${config.EMAIL_FROM}`);
-        
-        const transporter = nodemailer.createTransporter({
-            service: 'gmail',
-            auth: {
-                user: config.EMAIL_FROM,
-                pass: config.EMAIL_PASS
-            },
-            tls: {
-                rejectUnauthorized: false
-            }
-        });
+// WEATHER_PROVIDERS picks and orders the providers; by default every registered one is used
+function getEnabledProviders(capability = 'current') {
+    const ids = config.WEATHER_PROVIDERS.length > 0 ? config.WEATHER_PROVIDERS : Array.from(weatherProviders.keys());
+    return ids
+        .map(id => weatherProviders.get(id))
+        .filter(provider => provider && provider.capabilities[capability] && provider.isConfigured());
+}
 
-        // Test the connection
-        await transporter.verify();
-        log('📧 Email transporter verified successfully');
+function getPath(object, pathExpression) {
+    return String(pathExpression).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
 
-        const result = await transporter.sendMail({
-            from: config.EMAIL_FROM,
-            to: config.EMAIL_TO,
-            subject: subject,
-            html: htmlContent
+function toNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isFinite(number) ? number : null;
+}
+
+function distanceKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// **FETCH PIPELINE**
+// Every provider request goes through here:
+//   cache    - responses are kept for FETCH_CACHE_TTL_SECONDS keyed by URL, and URLs are
+//              built from coordinates rounded to FETCH_COORD_PRECISION decimals, so
+//              zones a few hundred metres apart share one request. Identical requests
+//              already in flight are shared too.
+//   budget   - each provider may spend PROVIDER_BUDGET_FRACTION of its published
+//              rateLimits.perDay (or PROVIDER_DAILY_BUDGETS) per UTC day.
+//   limiter  - at most rateLimits.concurrency requests in flight and rateLimits.perMinute
+//              started in any 60 seconds; the rest queue.
+//   breaker  - BREAKER_FAILURE_THRESHOLD failures in a row pause the provider for
+//              BREAKER_COOLDOWN_MINUTES, after which a single trial request decides
+//              whether it closes again.
+const DEFAULT_PROVIDER_CONCURRENCY = 2;
+const PIPELINE_WINDOW_MS = 60 * 1000;
+
+const providerPipelines = new Map();
+const responseCache = new Map();
+const inFlightResponses = new Map();
+let providerUsage = { date: null, counts: {} };
+let providerUsageSaveTimer = null;
+
+function getPipeline(provider) {
+    if (!providerPipelines.has(provider.id)) {
+        providerPipelines.set(provider.id, {
+            active: 0,
+            waiting: [],
+            recent: [],
+            consecutiveFailures: 0,
+            openUntil: 0,
+            trialInFlight: false,
+            cacheHits: 0,
+            skipped: { budget: 0, breaker: 0 },
+            budgetWarnedOn: null
         });
-        
-        log('📧 Email sent successfully');
-        return { success: true, messageId: result.messageId };
-        
-    } catch (error) {
-        log(`📧 Email error: ${error.message}`, 'ERROR');
-        return { 
-            success: false, 
-            error: error.message,
-            details: 'Check Gmail app password and 2FA'
-        };
     }
+    return providerPipelines.get(provider.id);
 }
 
-// **FIXED TELEGRAM FUNCTION**
-async function sendTelegramMessage(message) {
-    if (!config.TELEGRAM_BOT_TOKEN || !config.TELEGRAM_CHAT_ID) {
-        return { success: false, error: 'Telegram not configured' };
-    }
+function roundCoordinate(value) {
+    const factor = Math.pow(10, config.FETCH_COORD_PRECISION);
+    return Math.round(value * factor) / factor;
+}
 
-    try {
-        const axios = require('axios');
-        const url = `https://api.telegram.org/bot${config.TELEGRAM_BOT_TOKEN}/sendMessage`;
-        
-        log(`📱 Sending Telegram message to ${config.TELEGRAM_CHAT_ID}`);
-        
-        const response = await axios.post(url, {
-            chat_id: config.TELEGRAM_CHAT_ID,
-            text: message
-        }, { timeout: 10000 });
-        
-        log('📱 Telegram message sent successfully');
-        return { success: true };
-    } catch (error) {
-        log(`📱 Telegram error: ${error.message}`, 'ERROR');
-        return { success: false, error: error.message };
+// **Daily budgets**
+function getUsageDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function getProviderUsage(providerId) {
+    if (providerUsage.date !== getUsageDate()) providerUsage = { date: getUsageDate(), counts: {} };
+    return providerUsage.counts[providerId] || 0;
+}
+
+function countProviderRequest(providerId) {
+    getProviderUsage(providerId);
+    providerUsage.counts[providerId] = (providerUsage.counts[providerId] || 0) + 1;
+
+    // Batch the writes - a city refresh makes dozens of requests in a couple of seconds
+    if (!providerUsageSaveTimer) {
+        providerUsageSaveTimer = setTimeout(() => {
+            providerUsageSaveTimer = null;
+            saveJSONFile(PROVIDER_USAGE_FILE, providerUsage);
+        }, 5000).unref();
     }
 }
 
-// Update weather for all zones
-async function updateAllZonesWeather() {
-    log('🔄 Starting accurate weather update for all Mumbai zones...');
-    
-    const newWeatherData = {};
-    let successCount = 0;
-    
-    for (const zone of MUMBAI_ZONES) {
-        const weatherInfo = await fetchRealWeatherData(zone);
-        newWeatherData[zone.name] = weatherInfo;
-        
-        if (weatherInfo.realData) {
-            successCount++;
-        }
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-    }
-    
-    weatherData = newWeatherData;
-    lastRealDataUpdate = new Date();
-    
-    log(`📊 Weather update complete: ${successCount}/${MUMBAI_ZONES.length} zones with validated data`);
-    
-    // Only process alerts for REAL rainfall (> 1mm)
-    await processRainAlerts();
-    
-    return weatherData;
+function getDailyBudget(provider) {
+    if (config.PROVIDER_DAILY_BUDGETS[provider.id] !== undefined) return config.PROVIDER_DAILY_BUDGETS[provider.id];
+    if (!provider.rateLimits.perDay) return Infinity;
+    return Math.floor(provider.rateLimits.perDay * config.PROVIDER_BUDGET_FRACTION);
+}
+
+function loadProviderUsage() {
+    const saved = loadJSONFile(PROVIDER_USAGE_FILE, null);
+    if (saved && saved.date === getUsageDate()) providerUsage = saved;
+}
+
+// **Concurrency and rate limiting**
+async function acquireProviderSlot(provider, pipeline) {
+    const concurrency = provider.rateLimits.concurrency || DEFAULT_PROVIDER_CONCURRENCY;
+    if (pipeline.active < concurrency) {
+        pipeline.active++;
+    } else {
+        // releaseProviderSlot hands its slot straight to us, so `active` stays counted
+        await new Promise(resolve => pipeline.waiting.push(resolve));
+    }
+
+    const perMinute = provider.rateLimits.perMinute;
+    if (!perMinute) return;
+    for (;;) {
+        const now = Date.now();
+        pipeline.recent = pipeline.recent.filter(time => now - time < PIPELINE_WINDOW_MS);
+        if (pipeline.recent.length < perMinute) {
+            pipeline.recent.push(now);
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, pipeline.recent[0] + PIPELINE_WINDOW_MS - now));
+    }
+}
+
+function releaseProviderSlot(pipeline) {
+    const next = pipeline.waiting.shift();
+    if (next) next();
+    else pipeline.active--;
+}
+
+// **Circuit breaker**
+function getBreakerState(pipeline, now = Date.now()) {
+    if (!pipeline.openUntil) return 'closed';
+    return now < pipeline.openUntil ? 'open' : 'half-open';
+}
+
+function recordProviderResult(provider, succeeded) {
+    const pipeline = getPipeline(provider);
+    const wasTrial = pipeline.trialInFlight;
+    pipeline.trialInFlight = false;
+
+    if (succeeded) {
+        if (pipeline.openUntil) log(`🔌 ${provider.name} recovered - circuit closed`);
+        pipeline.consecutiveFailures = 0;
+        pipeline.openUntil = 0;
+        return;
+    }
+
+    pipeline.consecutiveFailures++;
+    // Requests already in flight when the circuit opened don't extend the pause
+    if (getBreakerState(pipeline) === 'open') return;
+    if (wasTrial || pipeline.consecutiveFailures >= config.BREAKER_FAILURE_THRESHOLD) {
+        pipeline.openUntil = Date.now() + config.BREAKER_COOLDOWN_MINUTES * 60 * 1000;
+        log(`🔌 ${provider.name} paused for ${config.BREAKER_COOLDOWN_MINUTES} minutes after ${pipeline.consecutiveFailures} failures in a row`, 'WARNING');
+    }
+}
+
+// Returns why a request can't go out right now, or null if it may
+function checkProviderAvailable(provider, pipeline) {
+    const breaker = getBreakerState(pipeline);
+    if (breaker === 'open' || (breaker === 'half-open' && pipeline.trialInFlight)) {
+        pipeline.skipped.breaker++;
+        return 'circuit open';
+    }
+
+    if (getProviderUsage(provider.id) >= getDailyBudget(provider)) {
+        pipeline.skipped.budget++;
+        if (pipeline.budgetWarnedOn !== getUsageDate()) {
+            pipeline.budgetWarnedOn = getUsageDate();
+            log(`💸 ${provider.name} daily budget of ${getDailyBudget(provider)} requests used up - skipping it until 00:00 UTC`, 'WARNING');
+        }
+        return 'daily budget used';
+    }
+
+    if (breaker === 'half-open') pipeline.trialInFlight = true;
+    return null;
+}
+
+// Resolves to { data, shared } - shared when the body came from the cache or another
+// caller's request - or null when the provider is skipped. Failed requests count
+// against the breaker here, once per request rather than once per waiting caller.
+async function fetchProviderResponse(provider, url) {
+    const now = Date.now();
+    const cached = responseCache.get(url);
+    const pipeline = getPipeline(provider);
+    if (cached && cached.expiresAt > now) {
+        pipeline.cacheHits++;
+        return { data: cached.data, shared: true };
+    }
+    if (inFlightResponses.has(url)) {
+        pipeline.cacheHits++;
+        const data = await inFlightResponses.get(url);
+        return data === undefined ? null : { data, shared: true };
+    }
+
+    // Skip without queueing when we already know the answer
+    if (getBreakerState(pipeline) === 'open') {
+        pipeline.skipped.breaker++;
+        return null;
+    }
+
+    const request = (async () => {
+        await acquireProviderSlot(provider, pipeline);
+        try {
+            // Checked again once we hold a slot: the circuit may have opened or the
+            // budget run out while this request sat in the queue
+            if (checkProviderAvailable(provider, pipeline)) return undefined;
+            countProviderRequest(provider.id);
+            const axios = require('axios');
+            const startedAt = Date.now();
+            try {
+                const response = await axios.get(url, {
+                    timeout: 10000,
+                    responseType: provider.responseType || 'json'
+                });
+                recordProviderHealth(provider, true, Date.now() - startedAt);
+                return response.data;
+            } catch (error) {
+                recordProviderHealth(provider, false, Date.now() - startedAt, error);
+                incrementMetric('rain_provider_errors_total', { provider: provider.id });
+                throw error;
+            } finally {
+                incrementMetric('rain_provider_requests_total', { provider: provider.id });
+                observeMetric('rain_provider_request_duration_seconds', { provider: provider.id }, (Date.now() - startedAt) / 1000);
+            }
+        } catch (error) {
+            recordProviderResult(provider, false);
+            throw error;
+        } finally {
+            releaseProviderSlot(pipeline);
+        }
+    })();
+
+    inFlightResponses.set(url, request);
+    try {
+        const data = await request;
+        if (data === undefined) return null;
+        responseCache.set(url, { data, expiresAt: Date.now() + config.FETCH_CACHE_TTL_SECONDS * 1000 });
+        return { data, shared: false };
+    } finally {
+        inFlightResponses.delete(url);
+    }
+}
+
+function pruneResponseCache() {
+    const now = Date.now();
+    for (const [url, entry] of responseCache) {
+        if (entry.expiresAt <= now) responseCache.delete(url);
+    }
+}
+
+// Housekeeping timers are unref'd so requiring server.js (as the tests do) doesn't
+// keep the process alive
+setInterval(pruneResponseCache, PIPELINE_WINDOW_MS).unref();
+
+function getPipelineStatus(provider) {
+    const pipeline = getPipeline(provider);
+    const budget = getDailyBudget(provider);
+    return {
+        concurrency: provider.rateLimits.concurrency || DEFAULT_PROVIDER_CONCURRENCY,
+        active: pipeline.active,
+        queued: pipeline.waiting.length,
+        requestsToday: getProviderUsage(provider.id),
+        dailyBudget: budget === Infinity ? null : budget,
+        cacheHits: pipeline.cacheHits,
+        skipped: pipeline.skipped,
+        breaker: getBreakerState(pipeline),
+        consecutiveFailures: pipeline.consecutiveFailures,
+        pausedUntil: getBreakerState(pipeline) === 'open' ? new Date(pipeline.openUntil).toISOString() : null
+    };
+}
+
+// **PROVIDER HEALTH**
+// The last HEALTH_SAMPLE_SIZE requests per provider feed the success rate and
+// latency percentiles; cache hits aren't requests and don't count.
+const HEALTH_SAMPLE_SIZE = 200;
+const providerHealth = new Map();
+
+function getProviderHealthRecord(providerId) {
+    if (!providerHealth.has(providerId)) {
+        providerHealth.set(providerId, { samples: [], totalRequests: 0, totalFailures: 0, lastSuccessAt: null, lastError: null });
+    }
+    return providerHealth.get(providerId);
+}
+
+function recordProviderHealth(provider, ok, latencyMs, error = null) {
+    const health = getProviderHealthRecord(provider.id);
+    const now = new Date().toISOString();
+    health.samples.push({ ok, latencyMs });
+    if (health.samples.length > HEALTH_SAMPLE_SIZE) health.samples.shift();
+    health.totalRequests++;
+
+    if (ok) {
+        health.lastSuccessAt = now;
+    } else {
+        health.totalFailures++;
+        health.lastError = { message: error ? error.message : 'unknown error', at: now };
+    }
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function getProviderHealth(provider) {
+    const health = getProviderHealthRecord(provider.id);
+    const latencies = health.samples.filter(s => s.ok).map(s => s.latencyMs).sort((a, b) => a - b);
+    const successes = health.samples.filter(s => s.ok).length;
+    const pipeline = getPipelineStatus(provider);
+
+    let status = 'unknown';
+    if (pipeline.breaker !== 'closed') status = 'down';
+    else if (health.samples.length > 0) status = health.samples[health.samples.length - 1].ok ? 'up' : 'failing';
+
+    return {
+        id: provider.id,
+        name: provider.name,
+        enabled: getEnabledProviders('current').includes(provider) || getEnabledProviders('forecast').includes(provider),
+        configured: provider.isConfigured(),
+        status,
+        sampleSize: health.samples.length,
+        successRate: health.samples.length > 0 ? roundTo(successes / health.samples.length, 3) : null,
+        latencyMs: {
+            p50: percentile(latencies, 50),
+            p90: percentile(latencies, 90),
+            p99: percentile(latencies, 99)
+        },
+        totalRequests: health.totalRequests,
+        totalFailures: health.totalFailures,
+        lastSuccessAt: health.lastSuccessAt,
+        lastError: health.lastError,
+        pipeline
+    };
+}
+
+async function fetchFromProvider(provider, kind, zone) {
+    const buildUrl = kind === 'forecast' ? provider.forecastUrl : provider.currentUrl;
+    const parse = kind === 'forecast' ? provider.parseForecast : provider.parseCurrent;
+    const url = buildUrl({ ...zone, lat: roundCoordinate(zone.lat), lon: roundCoordinate(zone.lon) });
+
+    try {
+        const response = await fetchProviderResponse(provider, url);
+        if (response === null) return null;
+
+        // The provider answered, so the breaker counts this as a success even if the
+        // body has nothing for this zone (e.g. no station nearby in a shared feed)
+        if (!response.shared) recordProviderResult(provider, true);
+        const parsed = parse(response.data, zone);
+        if (!parsed) throw new Error('no usable data in response');
+        return parsed;
+    } catch (error) {
+        log(`❌ ${provider.name} ${kind} error for ${zone.name}: ${error.message}`, 'ERROR');
+        broadcastEvent('provider-failure', {
+            provider: provider.id,
+            kind,
+            zone: zone.name,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        return null;
+    }
+}
+
+async function fetchProviderCurrent(provider, zone) {
+    const reading = await fetchFromProvider(provider, 'current', zone);
+    if (!reading) return null;
+
+    const rainfall = Math.max(0, reading.rainfall || 0); // Ensure never negative
+    const weatherInfo = {
+        zone: zone.name,
+        rainfall,
+        intensity: getRainfallIntensity(rainfall),
+        temperature: reading.temperature !== null && reading.temperature !== undefined ? Math.round(reading.temperature) : null,
+        humidity: reading.humidity,
+        pressure: reading.pressure,
+        windSpeed: reading.windSpeed,
+        cloudCover: reading.cloudCover,
+        description: reading.description,
+        weatherMain: reading.weatherMain,
+        timestamp: new Date().toISOString(),
+        source: provider.name,
+        realData: true
+    };
+
+    log(`✅ ${provider.name} (${zone.name}): ${weatherInfo.weatherMain} - ${rainfall.toFixed(2)}mm/hr, ${reading.temperature}°C`);
+    return weatherInfo;
+}
+
+// **OPENWEATHERMAP ADAPTER**
+registerWeatherProvider({
+    id: 'openweathermap',
+    name: 'OpenWeatherMap',
+    requiresKey: true,
+    isConfigured: () => !!config.OPENWEATHER_API_KEY,
+    capabilities: { current: true, forecast: true },
+    rateLimits: { perMinute: 60, perDay: 30000, concurrency: 4 },
+    fieldMap: {
+        rainfall: 'rain.1h || rain.3h (mm), 0.01 if raining without a volume',
+        temperature: 'main.temp (°C)',
+        humidity: 'main.humidity (%)',
+        pressure: 'main.pressure (hPa)',
+        windSpeed: 'wind.speed (m/s)',
+        cloudCover: 'clouds.all (%)'
+    },
+    currentUrl: zone => `https://api.openweathermap.org/data/2.5/weather?lat=${zone.lat}&lon=${zone.lon}&appid=${config.OPENWEATHER_API_KEY}&units=metric`,
+    parseCurrent: data => {
+        const weatherMain = data.weather[0].main;
+        let rainfall = data.rain ? (data.rain['1h'] || data.rain['3h'] || 0) : 0;
+
+        // Rain reported without a volume still counts as a minimal rain indication
+        if (!data.rain && weatherMain.toLowerCase().includes('rain')) rainfall = 0.01;
+
+        return {
+            rainfall,
+            temperature: data.main.temp,
+            humidity: data.main.humidity,
+            pressure: data.main.pressure,
+            windSpeed: data.wind ? data.wind.speed : 0,
+            cloudCover: data.clouds.all,
+            description: data.weather[0].description,
+            weatherMain
+        };
+    },
+    forecastUrl: zone => `https://api.openweathermap.org/data/2.5/forecast?lat=${zone.lat}&lon=${zone.lon}&appid=${config.OPENWEATHER_API_KEY}&units=metric`,
+    parseForecast: data => {
+        // 3-hour steps: spread each step's rain evenly over the three hours it covers
+        const hours = [];
+        data.list.forEach(step => {
+            const rain = step.rain ? (step.rain['3h'] || 0) : 0;
+            for (let i = 3; i >= 1; i--) {
+                hours.push({
+                    time: step.dt * 1000 - i * HOUR_MS,
+                    precipitation: rain / 3,
+                    probability: typeof step.pop === 'number' ? Math.round(step.pop * 100) : null
+                });
+            }
+        });
+        return hours;
+    }
+});
+
+// **WEATHERAPI.COM ADAPTER**
+registerWeatherProvider({
+    id: 'weatherapi',
+    name: 'WeatherAPI.com',
+    requiresKey: true,
+    isConfigured: () => !!config.WEATHERAPI_KEY,
+    capabilities: { current: true, forecast: true },
+    rateLimits: { perMinute: 60, perDay: 3000, concurrency: 4 },
+    fieldMap: {
+        rainfall: 'current.precip_mm (mm)',
+        temperature: 'current.temp_c (°C)',
+        humidity: 'current.humidity (%)',
+        pressure: 'current.pressure_mb (hPa)',
+        windSpeed: 'current.wind_kph / 3.6 (m/s)',
+        cloudCover: 'current.cloud (%)'
+    },
+    currentUrl: zone => `https://api.weatherapi.com/v1/current.json?key=${config.WEATHERAPI_KEY}&q=${zone.lat},${zone.lon}&aqi=no`,
+    parseCurrent: data => {
+        const current = data.current;
+        const condition = current.condition.text.toLowerCase();
+
+        return {
+            rainfall: current.precip_mm || 0,
+            temperature: current.temp_c,
+            humidity: current.humidity,
+            pressure: current.pressure_mb,
+            windSpeed: current.wind_kph / 3.6,
+            cloudCover: current.cloud,
+            description: condition,
+            weatherMain: current.condition.text
+        };
+    },
+    forecastUrl: zone => `https://api.weatherapi.com/v1/forecast.json?key=${config.WEATHERAPI_KEY}&q=${zone.lat},${zone.lon}&days=3&aqi=no&alerts=no`,
+    parseForecast: data => {
+        const hours = [];
+        data.forecast.forecastday.forEach(day => {
+            day.hour.forEach(hour => {
+                hours.push({
+                    time: hour.time_epoch * 1000,
+                    precipitation: hour.precip_mm || 0,
+                    probability: typeof hour.chance_of_rain === 'number' ? hour.chance_of_rain : null
+                });
+            });
+        });
+        return hours;
+    }
+});
+
+// **OPEN-METEO ADAPTER (No API Key Needed)**
+registerWeatherProvider({
+    id: 'open-meteo',
+    name: 'Open-Meteo',
+    capabilities: { current: true, forecast: true },
+    rateLimits: { perMinute: 600, perDay: 10000, concurrency: 6 },
+    fieldMap: {
+        rainfall: 'current.precipitation || current.rain (mm)',
+        temperature: 'current.temperature_2m (°C)',
+        humidity: 'current.relative_humidity_2m (%)',
+        pressure: 'current.pressure_msl (hPa)',
+        windSpeed: 'current.wind_speed_10m (m/s, requested with wind_speed_unit=ms)',
+        cloudCover: 'current.cloud_cover (%)'
+    },
+    currentUrl: zone => `https://api.open-meteo.com/v1/forecast?latitude=${zone.lat}&longitude=${zone.lon}&current=temperature_2m,relative_humidity_2m,precipitation,rain,weather_code,cloud_cover,pressure_msl,wind_speed_10m&wind_speed_unit=ms&timezone=Asia/Kolkata`,
+    parseCurrent: data => {
+        const current = data.current;
+        const weatherCode = current.weather_code;
+
+        return {
+            rainfall: current.precipitation || current.rain || 0,
+            temperature: current.temperature_2m,
+            humidity: current.relative_humidity_2m,
+            pressure: Math.round(current.pressure_msl),
+            windSpeed: current.wind_speed_10m,
+            cloudCover: current.cloud_cover,
+            description: getWeatherDescription(weatherCode),
+            weatherMain: getWeatherDescription(weatherCode)
+        };
+    },
+    forecastUrl: zone => `https://api.open-meteo.com/v1/forecast?latitude=${zone.lat}&longitude=${zone.lon}&hourly=precipitation,precipitation_probability&forecast_days=3&timeformat=unixtime&timezone=Asia/Kolkata`,
+    parseForecast: data => {
+        // Open-Meteo reports the sum of the preceding hour at each timestamp
+        const hourly = data.hourly;
+        return hourly.time.map((time, i) => ({
+            time: time * 1000 - HOUR_MS,
+            precipitation: hourly.precipitation[i] || 0,
+            probability: hourly.precipitation_probability ? hourly.precipitation_probability[i] : null
+        }));
+    }
+});
+
+// **GENERIC URL PROVIDERS**
+// Extra sources (an IMD AWS station feed, a municipal gauge network, ...) are
+// declared in CUSTOM_PROVIDERS_FILE (default data/providers.json) without code changes:
+//
+//   [{ "id": "imd-aws", "name": "IMD AWS", "format": "csv",
+//      "url": "https://example.org/aws.csv?key={key}", "apiKey": "...",
+//      "station": { "lat": "LAT", "lon": "LON", "maxDistanceKm": 5 },
+//      "fields": { "rainfall": "RAIN_1HR", "temperature": "TEMP", "humidity": "RH" },
+//      "scale": { "windSpeed": 0.2778 },
+//      "rateLimits": { "perMinute": 10, "perDay": 2000, "concurrency": 1 } }]
+//
+// `format` is "json" or "csv". {lat}, {lon}, {zone} and {key} are substituted into
+// the URL. For JSON, `fields` are dot paths; with `items` set, the response holds
+// a list of stations and the one nearest the zone (within station.maxDistanceKm)
+// is used. For CSV, `fields` and `station` name columns.
+function parseCSV(text, delimiter = ',') {
+    const rows = [];
+    String(text).split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === delimiter && !quoted) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+        rows.push(cells.map(c => c.trim()));
+    });
+
+    const [header, ...body] = rows;
+    return body.map(cells => header.reduce((row, column, i) => ({ ...row, [column]: cells[i] }), {}));
+}
+
+function pickNearestStation(items, zone, station) {
+    let best = null;
+    items.forEach(item => {
+        const lat = toNumber(getPath(item, station.lat));
+        const lon = toNumber(getPath(item, station.lon));
+        if (lat === null || lon === null) return;
+        const distance = distanceKm(zone, { lat, lon });
+        if (distance <= (station.maxDistanceKm || 10) && (!best || distance < best.distance)) {
+            best = { item, distance };
+        }
+    });
+    return best ? best.item : null;
+}
+
+function createUrlProvider(definition) {
+    const format = (definition.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) throw new Error(`Provider ${definition.id}: format must be json or csv`);
+    if (!definition.url || !definition.fields || definition.fields.rainfall === undefined) {
+        throw new Error(`Provider ${definition.id}: url and fields.rainfall are required`);
+    }
+
+    const scale = definition.scale || {};
+    const fill = (template, zone) => template
+        .replace(/\{lat\}/g, zone.lat)
+        .replace(/\{lon\}/g, zone.lon)
+        .replace(/\{zone\}/g, encodeURIComponent(zone.name))
+        .replace(/\{key\}/g, encodeURIComponent(definition.apiKey || ''));
+
+    return {
+        id: definition.id,
+        name: definition.name || definition.id,
+        requiresKey: /\{key\}/.test(definition.url),
+        isConfigured: () => !/\{key\}/.test(definition.url) || !!definition.apiKey,
+        capabilities: { current: true, forecast: false },
+        rateLimits: definition.rateLimits || { perMinute: 30, perDay: 5000, concurrency: 2 },
+        fieldMap: definition.fields,
+        responseType: format === 'csv' ? 'text' : 'json',
+        currentUrl: zone => fill(definition.url, zone),
+        parseCurrent: (data, zone) => {
+            let record = data;
+            if (format === 'csv') {
+                record = pickNearestStation(parseCSV(data, definition.delimiter), zone, definition.station || {});
+            } else if (definition.items) {
+                record = pickNearestStation(getPath(data, definition.items) || [], zone, definition.station || {});
+            }
+            if (!record) return null;
+
+            const value = field => {
+                if (!definition.fields[field]) return null;
+                const number = toNumber(getPath(record, definition.fields[field]));
+                return number === null ? null : number * (scale[field] || 1);
+            };
+            const rainfall = value('rainfall');
+            if (rainfall === null) return null;
+
+            return {
+                rainfall,
+                temperature: value('temperature'),
+                humidity: value('humidity'),
+                pressure: value('pressure'),
+                windSpeed: value('windSpeed'),
+                cloudCover: value('cloudCover'),
+                description: definition.fields.description ? String(getPath(record, definition.fields.description)) : (rainfall > 0.01 ? 'rain' : 'no rain'),
+                weatherMain: rainfall > 0.01 ? 'Rain' : 'Clear'
+            };
+        }
+    };
+}
+
+function loadCustomProviders() {
+    const definitions = loadJSONFile(CUSTOM_PROVIDERS_FILE, []);
+    definitions.forEach(definition => {
+        try {
+            registerWeatherProvider(createUrlProvider(definition));
+            log(`🔌 Registered custom weather provider: ${definition.name || definition.id}`);
+        } catch (error) {
+            log(`🔌 Skipping custom provider: ${error.message}`, 'ERROR');
+        }
+    });
+}
+
+function describeProvider(provider) {
+    const enabled = getEnabledProviders('current').includes(provider) || getEnabledProviders('forecast').includes(provider);
+    return {
+        id: provider.id,
+        name: provider.name,
+        configured: provider.isConfigured(),
+        enabled,
+        requiresKey: provider.requiresKey,
+        capabilities: provider.capabilities,
+        rateLimits: provider.rateLimits,
+        fieldMap: provider.fieldMap,
+        pipeline: getPipelineStatus(provider)
+    };
+}
+
+function getWeatherDescription(code) {
+    const weatherCodes = {
+        0: 'clear sky',
+        1: 'mainly clear', 
+        2: 'partly cloudy',
+        3: 'overcast',
+        45: 'fog',
+        48: 'depositing rime fog',
+        51: 'light drizzle',
+        53: 'moderate drizzle', 
+        55: 'dense drizzle',
+        61: 'slight rain',
+        63: 'moderate rain',
+        65: 'heavy rain',
+        80: 'slight rain showers',
+        81: 'moderate rain showers',
+        82: 'violent rain showers'
+    };
+    return weatherCodes[code] || 'unknown';
+}
+
+// **RELIABILITY-WEIGHTED SOURCE FUSION**
+// Each field is fused separately: values further than the tolerance (or FUSION_MAD_K
+// robust deviations) from the median are rejected as outliers, and the rest are
+// averaged with per-source weights. A source's weight is the share of past
+// fusions in which it agreed with the consensus (Laplace-smoothed, so new
+// sources start at 0.5).
+const FUSION_FIELDS = {
+    rainfall: { abs: 2, rel: 0.5, decimals: 2 },
+    temperature: { abs: 2, rel: 0, decimals: 1 },
+    humidity: { abs: 10, rel: 0, decimals: 0 },
+    pressure: { abs: 5, rel: 0, decimals: 0 },
+    windSpeed: { abs: 3, rel: 0.5, decimals: 1 },
+    cloudCover: { abs: 25, rel: 0, decimals: 0 }
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function getSourceWeight(source) {
+    const stats = sourceReliability[source] || { agreements: 0, comparisons: 0 };
+    return (stats.agreements + 1) / (stats.comparisons + 2);
+}
+
+// entries: [{ source, value }]
+function fuseField(entries, tolerance) {
+    const values = entries.filter(e => typeof e.value === 'number' && isFinite(e.value));
+    if (values.length === 0) {
+        return { value: null, spread: null, confidence: 0, sources: 0, outliers: [] };
+    }
+
+    const center = median(values.map(e => e.value));
+    const mad = median(values.map(e => Math.abs(e.value - center)));
+    const limit = Math.max(config.FUSION_MAD_K * 1.4826 * mad, tolerance.abs + tolerance.rel * Math.abs(center));
+
+    // Two disagreeing sources can't outvote each other, so only reject with three or more
+    const outliers = values.length >= 3 ? values.filter(e => Math.abs(e.value - center) > limit) : [];
+    const inliers = values.filter(e => !outliers.includes(e));
+
+    const totalWeight = values.reduce((sum, e) => sum + getSourceWeight(e.source), 0);
+    const inlierWeight = inliers.reduce((sum, e) => sum + getSourceWeight(e.source), 0);
+    const value = inliers.reduce((sum, e) => sum + e.value * getSourceWeight(e.source), 0) / inlierWeight;
+    const spread = Math.sqrt(inliers.reduce((sum, e) => sum + getSourceWeight(e.source) * Math.pow(e.value - value, 2), 0) / inlierWeight);
+
+    // Confidence drops with fewer sources, rejected weight and disagreement between the survivors
+    const coverage = Math.min(1, 0.5 + 0.25 * (inliers.length - 1));
+    const agreement = 1 / (1 + spread / (tolerance.abs + tolerance.rel * Math.abs(value)));
+    const confidence = coverage * (inlierWeight / totalWeight) * agreement;
+
+    return {
+        value: roundTo(value, tolerance.decimals),
+        spread: roundTo(spread, 2),
+        confidence: roundTo(confidence, 2),
+        sources: inliers.length,
+        outliers: outliers.map(e => e.source)
+    };
+}
+
+function fuseSourceReadings(sourceReadings) {
+    const fields = {};
+    Object.entries(FUSION_FIELDS).forEach(([field, tolerance]) => {
+        fields[field] = fuseField(sourceReadings.map(s => ({ source: s.source, value: s[field] })), tolerance);
+    });
+
+    // Anything below the no-rain threshold is reported as dry
+    if (fields.rainfall.value <= 0.01) fields.rainfall.value = 0;
+
+    const readings = sourceReadings.map(s => ({
+        source: s.source,
+        rainfall: s.rainfall,
+        temperature: s.temperature,
+        humidity: s.humidity,
+        pressure: s.pressure,
+        windSpeed: s.windSpeed,
+        cloudCover: s.cloudCover,
+        weatherMain: s.weatherMain,
+        weight: roundTo(getSourceWeight(s.source), 2),
+        outlierFields: Object.keys(fields).filter(field => fields[field].outliers.includes(s.source))
+    }));
+
+    updateSourceReliability(sourceReadings, fields.rainfall);
+    return { fields, readings };
+}
+
+// A source agrees when its rainfall survived outlier rejection and matches the rain/no-rain call
+function updateSourceReliability(sourceReadings, rainfall) {
+    if (sourceReadings.length < 2) return;
+
+    const raining = rainfall.value > 0.01;
+    sourceReadings.forEach(s => {
+        const stats = sourceReliability[s.source] || (sourceReliability[s.source] = { agreements: 0, comparisons: 0 });
+        stats.comparisons++;
+        if (!rainfall.outliers.includes(s.source) && (s.rainfall > 0.01) === raining) {
+            stats.agreements++;
+        }
+    });
+}
+
+function loadSourceReliability() {
+    sourceReliability = loadJSONFile(SOURCE_RELIABILITY_FILE, {});
+}
+
+function saveSourceReliability() {
+    saveJSONFile(SOURCE_RELIABILITY_FILE, sourceReliability);
+}
+
+function getSourceReliabilitySummary() {
+    const summary = {};
+    Object.entries(sourceReliability).forEach(([source, stats]) => {
+        summary[source] = { ...stats, weight: roundTo(getSourceWeight(source), 3) };
+    });
+    return summary;
+}
+
+function formatFusionSummary(zone, language = 'en') {
+    const t = translator(language);
+    if (!zone.fusion) return t('notAvailable');
+    const rainfall = zone.fusion.rainfall;
+    return t('fusion.summary', {
+        count: rainfall.sources,
+        confidence: Math.round(rainfall.confidence * 100),
+        spread: rainfall.spread,
+        rejected: rainfall.outliers.length > 0 ? t('fusion.rejected', { sources: rainfall.outliers.join(', ') }) : ''
+    });
+}
+
+// Temperature and humidity stay null when no source reported them
+function formatTemperature(value, language = 'en') {
+    return value === null || value === undefined ? translator(language)('notAvailable') : `${value}°C`;
+}
+
+function formatHumidity(value, language = 'en') {
+    return value === null || value === undefined ? translator(language)('notAvailable') : `${value}%`;
+}
+
+// **SMART WEATHER DATA VALIDATION**
+async function fetchRealWeatherData(zone) {
+    log(`🔄 Fetching accurate weather for ${zone.name}...`);
+    
+    // Try every enabled provider
+    const promises = getEnabledProviders('current').map(provider => fetchProviderCurrent(provider, zone));
+    
+    const results = await Promise.allSettled(promises);
+    const successfulSources = [];
+    
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value) {
+            successfulSources.push(result.value);
+        }
+    });
+    
+    if (successfulSources.length === 0) {
+        log(`❌ No weather data available for ${zone.name}`, 'ERROR');
+        // Nulls, not a plausible dry-day reading - nothing downstream may mistake this for data
+        return {
+            zone: zone.name,
+            rainfall: null,
+            intensity: 'No Data',
+            temperature: null,
+            humidity: null,
+            pressure: null,
+            windSpeed: null,
+            cloudCover: null,
+            description: 'Data unavailable',
+            timestamp: new Date().toISOString(),
+            source: 'None',
+            realData: false
+        };
+    }
+    
+    const fused = fuseSourceReadings(successfulSources);
+    const finalRainfall = fused.fields.rainfall.value;
+    
+    // Describe conditions from the most trusted source that agrees with the rain decision
+    const describingSource = successfulSources
+        .filter(s => (s.rainfall > 0.01) === (finalRainfall > 0.01))
+        .sort((a, b) => getSourceWeight(b.source) - getSourceWeight(a.source))[0] || successfulSources[0];
+    
+    const validatedWeather = {
+        zone: zone.name,
+        rainfall: finalRainfall,
+        intensity: getRainfallIntensity(finalRainfall),
+        temperature: fused.fields.temperature.value === null ? null : Math.round(fused.fields.temperature.value),
+        humidity: fused.fields.humidity.value === null ? null : Math.round(fused.fields.humidity.value),
+        pressure: fused.fields.pressure.value,
+        windSpeed: fused.fields.windSpeed.value,
+        cloudCover: fused.fields.cloudCover.value,
+        description: finalRainfall > 0.01 ? 'rain detected' : describingSource.description,
+        weatherMain: finalRainfall > 0.01 ? 'Rain' : 'Clear',
+        timestamp: new Date().toISOString(),
+        sources: successfulSources.map(s => s.source).join(', '),
+        readings: fused.readings,
+        fusion: fused.fields,
+        confidence: fused.fields.rainfall.confidence,
+        realData: true,
+        accuracy: successfulSources.length > 1 ? 'High (Multi-API Validated)' : 'Medium (Single-API)'
+    };
+    
+    log(`✅ Final weather for ${zone.name}: ${finalRainfall.toFixed(2)}mm/hr (${validatedWeather.intensity}) - ${validatedWeather.sources}`);
+    await recordZoneReading(validatedWeather, successfulSources);
+    return validatedWeather;
+}
+
+// **HOURLY PRECIPITATION FORECASTS**
+// Every provider is normalised to hourly slots keyed by the start of the hour,
+// each with mm of rain in that hour and a probability (percent) when known.
+const HOUR_MS = 60 * 60 * 1000;
+
+// Merges provider series into one: mean rainfall per hour plus a probability that
+// averages the providers' own figures, or falls back to the share of providers
+// forecasting warning-level rain when none of them publish one.
+function combineForecasts(providerForecasts) {
+    const slots = new Map();
+
+    providerForecasts.forEach(({ source, hours }) => {
+        hours.forEach(hour => {
+            const time = Math.floor(hour.time / HOUR_MS) * HOUR_MS;
+            if (!slots.has(time)) slots.set(time, []);
+            slots.get(time).push({ source, precipitation: hour.precipitation, probability: hour.probability });
+        });
+    });
+
+    return Array.from(slots.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, entries]) => {
+            const precipitations = entries.map(e => e.precipitation);
+            const probabilities = entries.map(e => e.probability).filter(p => typeof p === 'number');
+            const probability = probabilities.length > 0
+                ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+                : 100 * precipitations.filter(p => p >= config.FORECAST_WARNING_MM).length / precipitations.length;
+            const precipitation = precipitations.reduce((sum, p) => sum + p, 0) / precipitations.length;
+
+            return {
+                time: new Date(time).toISOString(),
+                precipitation: roundTo(precipitation, 2),
+                precipitationMax: roundTo(Math.max(...precipitations), 2),
+                probability: Math.round(probability),
+                intensity: getRainfallIntensity(precipitation),
+                providers: entries.reduce((acc, e) => ({ ...acc, [e.source]: roundTo(e.precipitation, 2) }), {})
+            };
+        });
+}
+
+async function fetchZoneForecast(zone) {
+    const results = await Promise.allSettled(getEnabledProviders('forecast').map(provider =>
+        fetchFromProvider(provider, 'forecast', zone).then(hours => ({ source: provider.name, hours }))
+    ));
+
+    const providerForecasts = results
+        .filter(r => r.status === 'fulfilled' && r.value.hours && r.value.hours.length > 0)
+        .map(r => r.value);
+    if (providerForecasts.length === 0) return null;
+
+    const forecast = {
+        zone: zone.name,
+        fetchedAt: new Date().toISOString(),
+        sources: providerForecasts.map(p => p.source),
+        hours: combineForecasts(providerForecasts)
+    };
+    zoneForecasts[zone.name] = forecast;
+    return forecast;
+}
+
+async function getZoneForecast(zone) {
+    const cached = zoneForecasts[zone.name];
+    const maxAge = config.FORECAST_REFRESH_MINUTES * 60 * 1000;
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < maxAge) return cached;
+    return (await fetchZoneForecast(zone)) || cached || null;
+}
+
+async function updateAllZoneForecasts() {
+    let updated = 0;
+    await Promise.all(monitoredZones.map(async zone => {
+        const before = zoneForecasts[zone.name];
+        const forecast = await getZoneForecast(zone);
+        if (forecast && forecast !== before) updated++;
+    }));
+    if (updated > 0) log(`🔮 Refreshed hourly forecasts for ${updated} zones`);
+}
+
+// **FORECAST EARLY WARNINGS**
+// Warn before rain starts: the first forecast hour inside the lead window that
+// meets both the intensity and probability thresholds triggers one warning per
+// zone, repeated at most once per FORECAST_WARNING_COOLDOWN_HOURS.
+function findForecastWarning(forecast, now) {
+    const earliest = now + config.FORECAST_MIN_LEAD_HOURS * HOUR_MS;
+    const latest = now + config.FORECAST_MAX_LEAD_HOURS * HOUR_MS;
+
+    return forecast.hours.find(hour => {
+        const time = new Date(hour.time).getTime();
+        return time >= earliest - HOUR_MS && time <= latest &&
+            hour.precipitation >= config.FORECAST_WARNING_MM &&
+            hour.probability >= config.FORECAST_MIN_PROBABILITY;
+    }) || null;
+}
+
+async function processForecastWarnings() {
+    const now = Date.now();
+    const warnings = [];
+
+    for (const zone of monitoredZones) {
+        const forecast = zoneForecasts[zone.name];
+        if (!forecast) continue;
+
+        // Already raining - the live alert lifecycle has this zone covered
+        const zoneState = zoneAlertStates[zone.name];
+        if (zoneState && RAIN_LEVELS.indexOf(zoneState.state) > 0) continue;
+
+        const hour = findForecastWarning(forecast, now);
+        if (!hour) continue;
+
+        const previous = forecastWarningState[zone.name];
+        if (previous && now - new Date(previous.warnedAt).getTime() < config.FORECAST_WARNING_COOLDOWN_HOURS * HOUR_MS) {
+            continue;
+        }
+
+        const leadHours = Math.max(1, Math.round((new Date(hour.time).getTime() - now) / HOUR_MS));
+        const alert = {
+            id: Date.now() + Math.random(),
+            timestamp: new Date(now).toISOString(),
+            zone: zone.name,
+            type: 'forecast',
+            expectedAt: hour.time,
+            leadHours,
+            rainfall: hour.precipitation,
+            probability: hour.probability,
+            intensity: hour.intensity,
+            sources: forecast.sources.join(', '),
+            notified: true
+        };
+        alert.message = formatForecastWarning(alert);
+
+        forecastWarningState[zone.name] = { warnedAt: alert.timestamp, expectedAt: hour.time };
+        alertHistory.unshift(alert);
+        await recordAlert(alert);
+        warnings.push(alert);
+        broadcastEvent('alert', describeAlert(alert));
+        log(`🔮 EARLY WARNING: ${alert.message}`);
+    }
+
+    if (warnings.length === 0) return;
+
+    alertHistory = alertHistory.slice(0, ALERT_HISTORY_SIZE);
+    saveJSONFile(FORECAST_WARNINGS_FILE, forecastWarningState);
+    await sendForecastWarnings(warnings);
+}
+
+function loadForecastWarningState() {
+    forecastWarningState = loadJSONFile(FORECAST_WARNINGS_FILE, {});
+}
+
+function formatForecastWarning(warning, language = 'en') {
+    const t = translator(language);
+    return t('forecast.warning', {
+        threshold: config.FORECAST_WARNING_MM,
+        zone: t.zone(warning.zone),
+        count: warning.leadHours,
+        rate: warning.rainfall.toFixed(1),
+        probability: warning.probability
+    });
+}
+
+function buildForecastWarningNotification(warnings, now, language = 'en') {
+    const t = translator(language);
+    const timestamp = t.date(now);
+    const message = `${t('forecast.title')}
+📅 ${timestamp}
+
+${warnings.map(w => `${formatForecastWarning(w, language)}
+   ${t('forecast.expected', { time: t.date(w.expectedAt, { hour: '2-digit', minute: '2-digit' }) })}
+   ${t('forecast.sources', { sources: w.sources })}`).join('\n\n')}
+
+${t('dashboardLink', { url: DASHBOARD_URL })}`;
+
+    // Zone names come from /api/zones, so everything is escaped like the templates are
+    const htmlContent = `
+        <h2>${escapeHtml(t('forecast.htmlTitle'))}</h2>
+        <p>${escapeHtml(t('forecast.generated', { time: timestamp }))}</p>
+        ${warnings.map(w => `
+            <div style="background: #fff3cd; padding: 15px; margin: 10px 0; border-radius: 8px; border-left: 5px solid #ffc107;">
+                <strong>📍 ${escapeHtml(t.zone(w.zone))}</strong><br>
+                ${escapeHtml(formatForecastWarning(w, language))}<br>
+                <small>${escapeHtml(t('forecast.htmlSources', { sources: w.sources }))}</small>
+            </div>
+        `).join('')}`;
+
+    return {
+        kind: 'forecast-warning',
+        subject: t('forecast.subject', { zones: warnings.map(w => t.zone(w.zone)).join(', ') }),
+        text: message,
+        html: htmlContent,
+        shortText: t('forecast.short', {
+            zones: warnings.map(w => t('forecast.shortZone', { zone: t.zone(w.zone), rate: w.rainfall.toFixed(1), count: w.leadHours })).join('; ')
+        }),
+        data: { warnings }
+    };
+}
+
+async function sendForecastWarnings(warnings) {
+    const now = new Date();
+
+    for (const subscriber of getAllSubscribers().filter(s => s.active)) {
+        const minLevel = INTENSITY_LEVELS.indexOf(subscriber.minIntensity);
+        const relevant = warnings.filter(w =>
+            subscriberWantsZone(subscriber, w.zone) && INTENSITY_LEVELS.indexOf(w.intensity) >= minLevel);
+        if (relevant.length === 0) continue;
+
+        log(`📣 Sending ${relevant.length} early warning(s) to ${subscriber.name}`);
+        await sendToSubscriber(subscriber, language => buildForecastWarningNotification(relevant, now, language));
+    }
+}
+
+// **PERSISTENT TIME-SERIES STORE**
+// Readings are appended as one JSON line per zone reading to a file per UTC day
+// (history/readings-YYYY-MM-DD.jsonl), alerts to a single alerts.jsonl log.
+const HISTORY_RESOLUTIONS = {
+    raw: 0,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '3h': 3 * 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function historyFileForDay(day) {
+    return path.join(HISTORY_DIR, `readings-${day}.jsonl`);
+}
+
+async function appendJSONLine(file, record) {
+    try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+    } catch (error) {
+        log(`💾 Failed to write ${path.basename(file)}: ${error.message}`, 'ERROR');
+    }
+}
+
+function loadJSONFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`💾 Failed to read ${path.basename(file)}: ${error.message}`, 'ERROR');
+        return fallback;
+    }
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file behind
+function saveJSONFile(file, value) {
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+        log(`💾 Failed to write ${path.basename(file)}: ${error.message}`, 'ERROR');
+    }
+}
+
+async function* readJSONLines(file) {
+    let stream;
+    try {
+        await fs.promises.access(file);
+        stream = fs.createReadStream(file, { encoding: 'utf8' });
+    } catch (error) {
+        return;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                log(`💾 Skipping corrupt line in ${path.basename(file)}`, 'WARNING');
+            }
+        }
+    } finally {
+        // Callers may stop early (e.g. an export whose client went away)
+        stream.destroy();
+    }
+}
+
+async function recordZoneReading(weather, sourceReadings) {
+    const record = {
+        timestamp: weather.timestamp,
+        zone: weather.zone,
+        rainfall: weather.rainfall,
+        intensity: weather.intensity,
+        temperature: weather.temperature,
+        humidity: weather.humidity,
+        pressure: weather.pressure,
+        windSpeed: weather.windSpeed,
+        cloudCover: weather.cloudCover,
+        sources: sourceReadings.map(s => ({
+            source: s.source,
+            rainfall: s.rainfall,
+            temperature: s.temperature,
+            humidity: s.humidity,
+            pressure: s.pressure,
+            windSpeed: s.windSpeed,
+            cloudCover: s.cloudCover,
+            weatherMain: s.weatherMain
+        }))
+    };
+
+    await appendJSONLine(historyFileForDay(record.timestamp.slice(0, 10)), record);
+}
+
+// Streams stored readings between `from` and `to` (Date objects), oldest day first
+async function* readZoneReadings({ zones = null, from, to }) {
+    const firstDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+
+    for (let day = firstDay; day <= to.getTime(); day += DAY_MS) {
+        const file = historyFileForDay(new Date(day).toISOString().slice(0, 10));
+        for await (const record of readJSONLines(file)) {
+            const time = new Date(record.timestamp).getTime();
+            if (time < from.getTime() || time > to.getTime()) continue;
+            if (zones && !zones.includes(record.zone)) continue;
+            yield record;
+        }
+    }
+}
+
+function roundTo(value, decimals) {
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function downsampleReadings(records, bucketMs) {
+    const buckets = new Map();
+    const averaged = ['rainfall', 'temperature', 'humidity', 'pressure', 'windSpeed', 'cloudCover'];
+
+    for (const record of records) {
+        const bucketStart = Math.floor(new Date(record.timestamp).getTime() / bucketMs) * bucketMs;
+        const key = `${record.zone}|${bucketStart}`;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { zone: record.zone, start: bucketStart, samples: 0, rainfallMax: 0, sums: {}, counts: {} };
+            buckets.set(key, bucket);
+        }
+
+        bucket.samples++;
+        bucket.rainfallMax = Math.max(bucket.rainfallMax, record.rainfall || 0);
+        averaged.forEach(field => {
+            if (typeof record[field] === 'number') {
+                bucket.sums[field] = (bucket.sums[field] || 0) + record[field];
+                bucket.counts[field] = (bucket.counts[field] || 0) + 1;
+            }
+        });
+    }
+
+    return Array.from(buckets.values())
+        .sort((a, b) => a.start - b.start)
+        .map(bucket => {
+            const point = {
+                zone: bucket.zone,
+                timestamp: new Date(bucket.start).toISOString(),
+                samples: bucket.samples,
+                rainfallMax: roundTo(bucket.rainfallMax, 2)
+            };
+            averaged.forEach(field => {
+                point[field] = bucket.counts[field] ? roundTo(bucket.sums[field] / bucket.counts[field], 2) : null;
+            });
+            return point;
+        });
+}
+
+async function recordAlert(alert) {
+    incrementMetric('rain_alerts_total', { type: alert.type || 'rain' });
+    await appendJSONLine(ALERTS_FILE, alert);
+}
+
+async function loadAlertHistory() {
+    const recent = [];
+    for await (const alert of readJSONLines(ALERTS_FILE)) {
+        recent.unshift(alert);
+        if (recent.length > ALERT_HISTORY_SIZE) recent.pop();
+    }
+    alertHistory = recent;
+    log(`💾 Loaded ${alertHistory.length} alerts from ${ALERTS_FILE}`);
+}
+
+async function pruneHistory() {
+    if (!config.HISTORY_RETENTION_DAYS) return;
+
+    const cutoff = new Date(Date.now() - config.HISTORY_RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+    try {
+        const files = await fs.promises.readdir(HISTORY_DIR);
+        for (const file of files) {
+            const match = file.match(/^readings-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+            if (match && match[1] < cutoff) {
+                await fs.promises.unlink(path.join(HISTORY_DIR, file));
+                log(`💾 Pruned history file ${file}`);
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') log(`💾 History pruning failed: ${error.message}`, 'ERROR');
+    }
+}
+
+function parseTimeParam(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// **ROLLING RAINFALL ACCUMULATION**
+// Totals are integrated from successive mm/hr readings (trapezoid rule). Gaps longer
+// than ACCUMULATION_MAX_GAP_MINUTES are treated as unknown rather than guessed.
+// The IMD rainfall day runs from 08:30 IST (03:00 UTC) to 08:30 IST the next day.
+const ACCUMULATION_WINDOWS = {
+    '1h': 1,
+    '3h': 3,
+    '6h': 6,
+    '24h': 24
+};
+const IMD_CATEGORIES = [
+    { min: 204.5, label: 'Extremely Heavy' },
+    { min: 115.6, label: 'Very Heavy' },
+    { min: 64.5, label: 'Heavy' },
+    { min: 15.6, label: 'Moderate' },
+    { min: 2.5, label: 'Light' },
+    { min: 0.1, label: 'Very Light' }
+];
+const SAMPLE_RETENTION_MS = 25 * 60 * 60 * 1000;
+
+function getIMDCategory(mm) {
+    const category = IMD_CATEGORIES.find(c => mm >= c.min);
+    return category ? category.label : 'No Rain';
+}
+
+function getIMDDayStart(now) {
+    const date = new Date(now);
+    let start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 3, 0, 0);
+    if (start > now) start -= DAY_MS;
+    return start;
+}
+
+// samples: [{ time (ms), rate (mm/hr) }] sorted by time
+function integrateRainfall(samples, from, to) {
+    const maxGap = config.ACCUMULATION_MAX_GAP_MINUTES * 60 * 1000;
+    let total = 0;
+
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        if (b.time <= from || a.time >= to || b.time - a.time > maxGap || b.time === a.time) continue;
+
+        // Clip the interval to the window, interpolating the rate at the edges
+        const start = Math.max(a.time, from);
+        const end = Math.min(b.time, to);
+        const rateAt = t => a.rate + (b.rate - a.rate) * (t - a.time) / (b.time - a.time);
+        total += (rateAt(start) + rateAt(end)) / 2 * (end - start) / HOUR_MS;
+    }
+    return total;
+}
+
+function computeAccumulation(zoneName, now) {
+    const samples = zoneRainSamples[zoneName] || [];
+    const accumulation = {};
+
+    Object.entries(ACCUMULATION_WINDOWS).forEach(([window, hours]) => {
+        const mm = roundTo(integrateRainfall(samples, now - hours * HOUR_MS, now), 1);
+        accumulation[window] = { mm, category: getIMDCategory(mm) };
+    });
+
+    const imdDayStart = getIMDDayStart(now);
+    const sinceMm = roundTo(integrateRainfall(samples, imdDayStart, now), 1);
+    accumulation.since0830 = {
+        mm: sinceMm,
+        category: getIMDCategory(sinceMm),
+        since: new Date(imdDayStart).toISOString()
+    };
+    return accumulation;
+}
+
+function recordRainSample(zoneName, timestamp, rate) {
+    const time = new Date(timestamp).getTime();
+    const samples = zoneRainSamples[zoneName] || (zoneRainSamples[zoneName] = []);
+    samples.push({ time, rate });
+    samples.sort((a, b) => a.time - b.time);
+
+    while (samples.length > 0 && samples[0].time < time - SAMPLE_RETENTION_MS) samples.shift();
+    return computeAccumulation(zoneName, time);
+}
+
+// Rebuild the rolling buffers from the history store so totals survive restarts
+async function loadRainSamples() {
+    const to = new Date();
+    const from = new Date(to.getTime() - SAMPLE_RETENTION_MS);
+    let count = 0;
+
+    zoneRainSamples = {};
+    for await (const record of readZoneReadings({ from, to })) {
+        if (typeof record.rainfall !== 'number') continue;
+        if (!zoneRainSamples[record.zone]) zoneRainSamples[record.zone] = [];
+        zoneRainSamples[record.zone].push({ time: new Date(record.timestamp).getTime(), rate: record.rainfall });
+        count++;
+    }
+    Object.values(zoneRainSamples).forEach(samples => samples.sort((a, b) => a.time - b.time));
+    log(`💾 Loaded ${count} readings for rolling rainfall totals`);
+}
+
+function formatAccumulation(accumulation, language = 'en') {
+    const t = translator(language);
+    if (!accumulation) return t('notAvailable');
+    return t('accumulation', {
+        h1: accumulation['1h'].mm,
+        h3: accumulation['3h'].mm,
+        h24: accumulation['24h'].mm,
+        category: t.imd(accumulation['24h'].category),
+        since: accumulation.since0830.mm
+    });
+}
+
+// **RAINFALL INTERPOLATION GRID**
+// Zone readings are point samples at the centroids. The grid spreads them over a
+// bounding box around all zones with inverse-distance weighting; cells further
+// than GRID_MAX_DISTANCE_KM from every reading are left empty rather than guessed.
+const GRID_FIELDS = ['rainfall', ...Object.keys(ACCUMULATION_WINDOWS), 'since0830'];
+const GRID_PADDING = 0.1;
+
+function getGridValue(weather, field) {
+    if (!weather || !weather.realData) return null;
+    if (field === 'rainfall') return weather.rainfall;
+    return weather.accumulation && weather.accumulation[field] ? weather.accumulation[field].mm : null;
+}
+
+function getZoneBounds(zones) {
+    const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    const extend = ([lon, lat]) => {
+        bounds.south = Math.min(bounds.south, lat);
+        bounds.north = Math.max(bounds.north, lat);
+        bounds.west = Math.min(bounds.west, lon);
+        bounds.east = Math.max(bounds.east, lon);
+    };
+
+    zones.forEach(zone => {
+        extend([zone.lon, zone.lat]);
+        if (!zone.boundary) return;
+        const rings = zone.boundary.type === 'MultiPolygon'
+            ? zone.boundary.coordinates.map(polygon => polygon[0])
+            : [zone.boundary.coordinates[0]];
+        rings.forEach(ring => ring.forEach(extend));
+    });
+
+    const latPad = Math.max((bounds.north - bounds.south) * GRID_PADDING, 0.01);
+    const lonPad = Math.max((bounds.east - bounds.west) * GRID_PADDING, 0.01);
+    return {
+        south: roundTo(bounds.south - latPad, 4),
+        west: roundTo(bounds.west - lonPad, 4),
+        north: roundTo(bounds.north + latPad, 4),
+        east: roundTo(bounds.east + lonPad, 4)
+    };
+}
+
+function interpolateIDW(points, location, power, maxDistanceKm) {
+    let weightedSum = 0;
+    let weightTotal = 0;
+
+    for (const point of points) {
+        const distance = distanceKm(point, location);
+        if (distance < 0.01) return point.value;
+        if (maxDistanceKm > 0 && distance > maxDistanceKm) continue;
+        const weight = 1 / Math.pow(distance, power);
+        weightedSum += weight * point.value;
+        weightTotal += weight;
+    }
+
+    return weightTotal > 0 ? weightedSum / weightTotal : null;
+}
+
+// Cells are square on the ground: the longer side of the box gets `cells` columns
+// or rows and the other side is scaled by the km-per-degree ratio at that latitude.
+function buildRainfallGrid({ field = 'rainfall', cells = config.GRID_CELLS, power = config.GRID_IDW_POWER } = {}) {
+    const bounds = getZoneBounds(monitoredZones);
+    const midLat = (bounds.north + bounds.south) / 2;
+    const heightKm = distanceKm({ lat: bounds.south, lon: bounds.west }, { lat: bounds.north, lon: bounds.west });
+    const widthKm = distanceKm({ lat: midLat, lon: bounds.west }, { lat: midLat, lon: bounds.east });
+    const cellKm = Math.max(heightKm, widthKm) / cells;
+    const rows = Math.max(1, Math.round(heightKm / cellKm));
+    const cols = Math.max(1, Math.round(widthKm / cellKm));
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lonStep = (bounds.east - bounds.west) / cols;
+
+    const points = monitoredZones
+        .map(zone => ({ zone: zone.name, lat: zone.lat, lon: zone.lon, value: getGridValue(weatherData[zone.name], field) }))
+        .filter(point => typeof point.value === 'number');
+
+    // Rows run north to south so values[0][0] is the top-left cell
+    const values = [];
+    for (let row = 0; row < rows; row++) {
+        const lat = bounds.north - (row + 0.5) * latStep;
+        const line = [];
+        for (let col = 0; col < cols; col++) {
+            const lon = bounds.west + (col + 0.5) * lonStep;
+            const value = points.length > 0 ? interpolateIDW(points, { lat, lon }, power, config.GRID_MAX_DISTANCE_KM) : null;
+            line.push(value === null ? null : roundTo(value, 2));
+        }
+        values.push(line);
+    }
+
+    return {
+        field,
+        unit: field === 'rainfall' ? 'mm/hr' : 'mm',
+        power,
+        maxDistanceKm: config.GRID_MAX_DISTANCE_KM,
+        bounds,
+        rows,
+        cols,
+        cellSize: { lat: roundTo(latStep, 6), lon: roundTo(lonStep, 6), km: roundTo(cellKm, 3) },
+        lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+        points,
+        values
+    };
+}
+
+function gridToGeoJSON(grid) {
+    const features = [];
+    const { bounds, cellSize } = grid;
+
+    grid.values.forEach((line, row) => line.forEach((value, col) => {
+        if (value === null) return;
+        const north = roundTo(bounds.north - row * cellSize.lat, 6);
+        const south = roundTo(bounds.north - (row + 1) * cellSize.lat, 6);
+        const west = roundTo(bounds.west + col * cellSize.lon, 6);
+        const east = roundTo(bounds.west + (col + 1) * cellSize.lon, 6);
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] },
+            properties: { kind: 'cell', row, col, value }
+        });
+    }));
+
+    grid.points.forEach(point => features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+        properties: { kind: 'zone', zone: point.zone, value: point.value }
+    }));
+
+    return {
+        type: 'FeatureCollection',
+        properties: { field: grid.field, unit: grid.unit, power: grid.power, lastUpdate: grid.lastUpdate },
+        features
+    };
+}
+
+// **FIXED EMAIL FUNCTION**
+// One transporter is kept for the life of the process. It is rebuilt after an
+// authentication error in case the app password has been changed.
+let emailTransporter = null;
+
+function getEmailTransporter() {
+    if (!emailTransporter) {
+        const nodemailer = require('nodemailer');
+        log(`📧 Creating email transporter for: ${config.EMAIL_FROM}`);
+        emailTransporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: config.EMAIL_FROM,
+                pass: config.EMAIL_PASS
+            },
+            tls: {
+                rejectUnauthorized: false
+            }
+        });
+    }
+    return emailTransporter;
+}
+
+async function sendEmailAlert(subject, htmlContent, to = config.EMAIL_TO) {
+    if (!config.EMAIL_FROM || !to || !config.EMAIL_PASS) {
+        incrementMetric('rain_notifications_total', { channel: 'email', outcome: 'skipped' });
+        return { success: false, permanent: true, error: 'Email configuration missing' };
+    }
+
+    try {
+        const result = await getEmailTransporter().sendMail({
+            from: config.EMAIL_FROM,
+            to: to,
+            subject: subject,
+            html: htmlContent
+        });
+        
+        log('📧 Email sent successfully');
+        incrementMetric('rain_notifications_total', { channel: 'email', outcome: 'success' });
+        return { success: true, messageId: result.messageId };
+        
+    } catch (error) {
+        log(`📧 Email error: ${error.message}`, 'ERROR');
+        incrementMetric('rain_notifications_total', { channel: 'email', outcome: 'failure' });
+        if (error.code === 'EAUTH') emailTransporter = null;
+        return { 
+            success: false, 
+            error: error.message,
+            // A rejected recipient won't be accepted on a retry
+            permanent: error.code === 'EENVELOPE',
+            details: 'Check Gmail app password and 2FA'
+        };
+    }
+}
+
+// **FIXED TELEGRAM FUNCTION**
+async function sendTelegramMessage(message, chatId = config.TELEGRAM_CHAT_ID) {
+    if (!config.TELEGRAM_BOT_TOKEN || !chatId) {
+        incrementMetric('rain_notifications_total', { channel: 'telegram', outcome: 'skipped' });
+        return { success: false, permanent: true, error: 'Telegram not configured' };
+    }
+
+    try {
+        const axios = require('axios');
+        const url = `${config.TELEGRAM_API_BASE}/bot${config.TELEGRAM_BOT_TOKEN}/sendMessage`;
+        
+        log(`📱 Sending Telegram message to ${chatId}`);
+        
+        const response = await axios.post(url, {
+            chat_id: chatId,
+            text: message
+        }, { timeout: 10000 });
+        
+        log('📱 Telegram message sent successfully');
+        incrementMetric('rain_notifications_total', { channel: 'telegram', outcome: 'success' });
+        return { success: true };
+    } catch (error) {
+        log(`📱 Telegram error: ${error.message}`, 'ERROR');
+        incrementMetric('rain_notifications_total', { channel: 'telegram', outcome: 'failure' });
+        return { success: false, error: error.message, permanent: isPermanentHttpError(error) };
+    }
+}
+
+// **NOTIFICATION CHANNELS**
+// Every way of reaching people is a plain channel plugin registered with
+// registerChannelType(). Delivery code only sees the plugin interface:
+//
+//   type, name                 - registry key and display label
+//   fields                     - { name: { required, secret, description } } settings
+//   isConfigured()             - whether server-wide prerequisites (bot token, SMTP) exist
+//   validate(settings)         - extra checks beyond required fields, returns an error or null
+//   format(notification, settings) - notification → this channel's payload
+//   send(payload, settings)    - delivers the payload, resolves to { success, error?, permanent? }
+//
+// A notification is { kind, subject, text, html, shortText, data }. kind is one of
+// rain-alert, forecast-warning, digest, coverage or test. data holds the structured fields
+// that machine-readable channels forward as JSON. format() does no I/O, so a plugin's
+// payloads can be checked on their own. The HTTP channels can be pointed at local
+// stand-ins by URL, and give up after CHANNEL_TIMEOUT_SECONDS.
+const channelTypes = new Map();
+let notificationChannels = [];
+const SECRET_MASK = '********';
+
+function registerChannelType(plugin) {
+    if (!plugin.type || !plugin.name || typeof plugin.format !== 'function' || typeof plugin.send !== 'function') {
+        throw new Error(`Channel type ${plugin.type || '(unnamed)'} must define type, name, format() and send()`);
+    }
+    channelTypes.set(plugin.type, {
+        fields: {},
+        isConfigured: () => true,
+        validate: () => null,
+        ...plugin
+    });
+}
+
+// Returns an error string, or null when the settings are valid
+function validateChannelSettings(type, settings) {
+    const plugin = channelTypes.get(type);
+    if (!plugin) return `channel type must be one of: ${Array.from(channelTypes.keys()).join(', ')}`;
+
+    const missing = Object.entries(plugin.fields)
+        .filter(([name, field]) => field.required && (settings[name] === undefined || settings[name] === null || settings[name] === ''))
+        .map(([name]) => name);
+    if (missing.length > 0) return `${type} channels need ${missing.join(', ')}`;
+    return plugin.validate(settings);
+}
+
+function validateChannelUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? null : 'url must be http or https';
+    } catch (error) {
+        return 'url must be a valid URL';
+    }
+}
+
+// Webhook URLs often embed their own secret, so only the host is ever logged
+function describeUrl(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid url';
+    }
+}
+
+async function postChannelRequest(type, url, body, headers) {
+    try {
+        const axios = require('axios');
+        const response = await axios.post(url, body, { headers, timeout: config.CHANNEL_TIMEOUT_SECONDS * 1000 });
+        log(`📣 ${type} delivered to ${describeUrl(url)}`);
+        incrementMetric('rain_notifications_total', { channel: type, outcome: 'success' });
+        return { success: true, status: response.status };
+    } catch (error) {
+        log(`📣 ${type} delivery to ${describeUrl(url)} failed: ${error.message}`, 'ERROR');
+        incrementMetric('rain_notifications_total', { channel: type, outcome: 'failure' });
+        return {
+            success: false,
+            error: error.message,
+            status: error.response ? error.response.status : undefined,
+            permanent: isPermanentHttpError(error)
+        };
+    }
+}
+
+// A 4xx other than 429 means the request itself is wrong, so retrying won't help
+function isPermanentHttpError(error) {
+    const status = error.response ? error.response.status : 0;
+    return status >= 400 && status < 500 && status !== 429;
+}
+
+// Receivers recompute this over "<timestamp>.<raw body>" to check the X-Rain-Signature header
+function signWebhookBody(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function truncateText(text, maxLength) {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1)}…`;
+}
+
+registerChannelType({
+    type: 'telegram',
+    name: 'Telegram',
+    fields: {
+        chatId: { required: true, description: 'Chat, group or channel id' }
+    },
+    isConfigured: () => !!config.TELEGRAM_BOT_TOKEN,
+    format: notification => notification.text,
+    send: (payload, settings) => sendTelegramMessage(payload, settings.chatId)
+});
+
+registerChannelType({
+    type: 'email',
+    name: 'Email',
+    fields: {
+        address: { required: true, description: 'Recipient address' }
+    },
+    isConfigured: () => !!(config.EMAIL_FROM && config.EMAIL_PASS),
+    validate: settings => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(settings.address) ? null : 'email channels need a valid address'),
+    format: notification => ({
+        subject: notification.subject,
+        html: notification.html || `<pre>${escapeHtml(notification.text)}</pre>`
+    }),
+    send: (payload, settings) => sendEmailAlert(payload.subject, payload.html, settings.address)
+});
+
+registerChannelType({
+    type: 'webhook',
+    name: 'JSON webhook',
+    fields: {
+        url: { required: true, description: 'Endpoint that receives a JSON POST' },
+        secret: { secret: true, description: 'HMAC-SHA256 key for the X-Rain-Signature header' }
+    },
+    validate: settings => validateChannelUrl(settings.url),
+    format: notification => ({
+        event: notification.kind,
+        subject: notification.subject,
+        text: notification.text,
+        data: notification.data || null,
+        sentAt: new Date().toISOString()
+    }),
+    send: (payload, settings) => {
+        // Sign the exact bytes that go on the wire
+        const body = JSON.stringify(payload);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'Content-Type': 'application/json', 'X-Rain-Event': payload.event, 'X-Rain-Timestamp': timestamp };
+        if (settings.secret) headers['X-Rain-Signature'] = `sha256=${signWebhookBody(settings.secret, timestamp, body)}`;
+        return postChannelRequest('webhook', settings.url, body, headers);
+    }
+});
+
+// Slack and Mattermost incoming webhooks take the same { text, username, icon_emoji, channel } body
+registerChannelType({
+    type: 'slack',
+    name: 'Slack / Mattermost webhook',
+    fields: {
+        url: { required: true, secret: true, description: 'Incoming webhook URL' },
+        channel: { description: 'Channel override, e.g. #flood-ops' },
+        username: { description: 'Display name for the post' }
+    },
+    validate: settings => validateChannelUrl(settings.url),
+    format: (notification, settings) => {
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return {
+            text: `*${escape(notification.subject)}*\n${escape(notification.text)}`,
+            username: settings.username || 'Mumbai Rain Monitor',
+            icon_emoji: ':cloud_with_rain:',
+            ...(settings.channel ? { channel: settings.channel } : {})
+        };
+    },
+    send: (payload, settings) => postChannelRequest('slack', settings.url, payload, { 'Content-Type': 'application/json' })
+});
+
+// One request per number. Gateways differ, so the field names and encoding are settings.
+registerChannelType({
+    type: 'sms',
+    name: 'SMS gateway',
+    fields: {
+        url: { required: true, description: 'Gateway endpoint that accepts a POST per message' },
+        to: { required: true, description: 'Phone numbers, as an array or comma-separated' },
+        token: { secret: true, description: 'Sent as Authorization: Bearer <token>' },
+        sender: { description: 'Sender id passed as "sender"' },
+        encoding: { description: 'json (default) or form' },
+        toField: { description: 'Name of the number field (default "to")' },
+        messageField: { description: 'Name of the text field (default "message")' },
+        maxLength: { description: 'Longest message sent (default 306, two SMS parts)' }
+    },
+    validate: settings => {
+        if (settings.encoding && !['json', 'form'].includes(settings.encoding)) return 'sms encoding must be json or form';
+        return validateChannelUrl(settings.url);
+    },
+    format: (notification, settings) => truncateText(notification.shortText || notification.text, parseInt(settings.maxLength, 10) || 306),
+    send: async (payload, settings) => {
+        const numbers = (Array.isArray(settings.to) ? settings.to : String(settings.to).split(',')).map(n => String(n).trim()).filter(Boolean);
+        const headers = {
+            'Content-Type': settings.encoding === 'form' ? 'application/x-www-form-urlencoded' : 'application/json',
+            ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {})
+        };
+
+        const results = [];
+        for (const number of numbers) {
+            const fields = { [settings.toField || 'to']: number, [settings.messageField || 'message']: payload };
+            if (settings.sender) fields.sender = settings.sender;
+            const body = settings.encoding === 'form' ? new URLSearchParams(fields).toString() : fields;
+            results.push(await postChannelRequest('sms', settings.url, body, headers));
+        }
+
+        const failed = results.filter(result => !result.success);
+        return failed.length === 0
+            ? { success: true, sent: numbers.length }
+            : { success: false, sent: numbers.length - failed.length, error: `${failed.length}/${numbers.length} messages failed: ${failed[0].error}` };
+    }
+});
+
+function loadChannels() {
+    notificationChannels = loadJSONFile(CHANNELS_FILE, []);
+    log(`💾 Loaded ${notificationChannels.length} notification channels`);
+}
+
+function saveChannels() {
+    saveJSONFile(CHANNELS_FILE, notificationChannels);
+}
+
+function maskChannel(channel) {
+    const plugin = channelTypes.get(channel.type);
+    const settings = { ...channel.settings };
+    Object.entries(plugin ? plugin.fields : {}).forEach(([name, field]) => {
+        if (field.secret && settings[name]) settings[name] = SECRET_MASK;
+    });
+    return { ...channel, settings };
+}
+
+// Secrets come back masked from GET, so a masked value on update keeps the stored one
+function buildChannel(input, existing = {}) {
+    const now = new Date().toISOString();
+    const settings = { ...(existing.settings || {}), ...(input.settings || {}) };
+    Object.keys(settings).forEach(name => {
+        if (settings[name] === SECRET_MASK) settings[name] = existing.settings ? existing.settings[name] : undefined;
+    });
+
+    const name = input.name !== undefined ? String(input.name).trim() : existing.name;
+    return {
+        id: existing.id || input.id || (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name,
+        type: existing.type || input.type,
+        settings,
+        language: input.language !== undefined ? input.language || null : (existing.language || null),
+        active: input.active !== undefined ? !!input.active : (existing.active !== undefined ? existing.active : true),
+        createdAt: existing.createdAt || now,
+        updatedAt: now
+    };
+}
+
+function validateChannel(channel, isNew) {
+    if (!channel.name) return 'name is required';
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(channel.id || '')) return 'id must be lowercase letters, digits and dashes';
+    if (isNew && notificationChannels.some(c => c.id === channel.id)) return `A channel with id "${channel.id}" already exists`;
+    if (channel.language && !LANGUAGES.includes(channel.language)) return `language must be one of: ${LANGUAGES.join(', ')}`;
+    return validateChannelSettings(channel.type, channel.settings);
+}
+
+// Subscriber channel entries are inline ({ type, ...settings }) or point at a
+// configured channel ({ channelId }). Either may carry a language.
+function resolveChannel(entry) {
+    if (entry.channelId) {
+        const channel = notificationChannels.find(c => c.id === entry.channelId);
+        return channel && channel.active
+            ? { id: channel.id, type: channel.type, settings: channel.settings, language: channel.language || null }
+            : null;
+    }
+    const { type, language = null, ...settings } = entry;
+    return { id: type, type, settings, language };
+}
+
+// The entry's own language wins, then the configured channel's, then the recipient's
+function getDeliveryLanguage(recipient, entry) {
+    const channel = resolveChannel(entry);
+    return resolveLanguage(entry.language || (channel && channel.language) || recipient.language);
+}
+
+async function deliverNotification(channel, notification) {
+    const plugin = channelTypes.get(channel.type);
+    if (!plugin) return { success: false, error: `Unknown channel type "${channel.type}"` };
+
+    try {
+        return await plugin.send(plugin.format(notification, channel.settings), channel.settings);
+    } catch (error) {
+        log(`📣 ${channel.id} delivery failed: ${error.message}`, 'ERROR');
+        return { success: false, error: error.message };
+    }
+}
+
+function buildTestNotification(channelId, language = 'en') {
+    const t = translator(language);
+    const timestamp = t.date(new Date());
+    return {
+        kind: 'test',
+        subject: t('test.subject'),
+        text: t('test.message', { channel: channelId, time: timestamp }),
+        html: `<h2>${t('test.subject')}</h2><p>${t('test.htmlChannel', { channel: escapeHtml(channelId) })}</p><p>${t('test.htmlSent', { time: timestamp })}</p>`,
+        shortText: t('test.short', { channel: channelId }),
+        data: { channel: channelId, language: t.language, sentAt: new Date().toISOString() }
+    };
+}
+
+// **NOTIFICATION OUTBOX**
+// Every notification is saved to DATA_DIR/outbox.json before it is sent, as one message
+// with a delivery per channel. A failed delivery is retried with exponential backoff,
+// starting at OUTBOX_RETRY_BASE_SECONDS and doubling up to OUTBOX_RETRY_MAX_MINUTES.
+// After OUTBOX_MAX_ATTEMPTS failures it is dead-lettered and waits for a manual resend.
+// Errors that a retry can't fix, such as 4xx responses or missing configuration, are
+// dead-lettered at once. Waiting deliveries survive a restart, so a delivery cut off
+// mid-send may go out twice.
+const WAITING_DELIVERY_STATUSES = ['pending', 'failed'];
+const MAX_DELIVERY_HISTORY = 20;
+let outbox = [];
+let outboxTimer = null;
+let outboxRunning = false;
+
+function loadOutbox() {
+    outbox = loadJSONFile(OUTBOX_FILE, []);
+    outbox.forEach(message => {
+        // Messages queued before localisation carry a single English notification
+        if (message.notification) {
+            message.notifications = { en: message.notification };
+            delete message.notification;
+        }
+        message.deliveries.forEach(delivery => {
+            if (delivery.status === 'sending') delivery.status = 'pending';
+            if (!delivery.language) delivery.language = 'en';
+        });
+    });
+    const summary = getOutboxSummary();
+    log(`💾 Loaded ${outbox.length} outbox messages (${summary.pending + summary.failed} deliveries waiting, ${summary.dead} dead-lettered)`);
+}
+
+function saveOutbox() {
+    saveJSONFile(OUTBOX_FILE, outbox);
+}
+
+function getMessageStatus(message) {
+    const statuses = message.deliveries.map(delivery => delivery.status);
+    if (statuses.every(status => status === 'delivered')) return 'delivered';
+    if (statuses.some(status => status !== 'delivered' && status !== 'dead')) return 'pending';
+    return 'dead';
+}
+
+// Settled messages older than OUTBOX_RETENTION_DAYS are dropped; waiting ones are kept
+function pruneOutbox(now = Date.now()) {
+    const cutoff = now - config.OUTBOX_RETENTION_DAYS * DAY_MS;
+    outbox = outbox.filter(message => new Date(message.createdAt).getTime() >= cutoff || getMessageStatus(message) === 'pending');
+}
+
+function getRetryDelayMs(attempts) {
+    return Math.min(config.OUTBOX_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1), config.OUTBOX_RETRY_MAX_MINUTES * 60 * 1000);
+}
+
+// The status check and the switch to 'sending' happen before any await, so the
+// outbox run and a fresh queueNotification() never send the same delivery twice
+async function attemptDelivery(message, delivery) {
+    if (!WAITING_DELIVERY_STATUSES.includes(delivery.status)) return;
+    delivery.status = 'sending';
+
+    const channel = resolveChannel(delivery.target);
+    const result = channel
+        ? await deliverNotification(channel, message.notifications[delivery.language])
+        : { success: false, permanent: true, error: 'Channel missing or inactive' };
+    const now = Date.now();
+
+    delivery.attempts++;
+    delivery.history = [
+        { at: new Date(now).toISOString(), success: !!result.success, error: result.error || null },
+        ...delivery.history
+    ].slice(0, MAX_DELIVERY_HISTORY);
+
+    if (result.success) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date(now).toISOString();
+        delivery.nextAttemptAt = null;
+        delivery.lastError = null;
+    } else if (result.permanent || delivery.attempts >= config.OUTBOX_MAX_ATTEMPTS) {
+        delivery.status = 'dead';
+        delivery.nextAttemptAt = null;
+        delivery.lastError = result.error || 'Delivery failed';
+        log(`📮 Dead-lettered ${message.kind} for ${message.recipient.name} via ${delivery.channel} after ${delivery.attempts} attempt(s): ${delivery.lastError}`, 'ERROR');
+        incrementMetric('rain_notifications_dead_total', { channel: delivery.type || 'unknown' });
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = new Date(now + getRetryDelayMs(delivery.attempts)).toISOString();
+        delivery.lastError = result.error || 'Delivery failed';
+        log(`📮 ${message.kind} for ${message.recipient.name} via ${delivery.channel} failed (attempt ${delivery.attempts}/${config.OUTBOX_MAX_ATTEMPTS}), retrying at ${delivery.nextAttemptAt}`, 'WARNING');
+    }
+
+    // Once everything is out, the HTML and structured data are no longer needed
+    if (getMessageStatus(message) === 'delivered') {
+        Object.values(message.notifications).forEach(notification => {
+            delete notification.html;
+            delete notification.data;
+        });
+    }
+    saveOutbox();
+}
+
+function describeDelivery(delivery) {
+    return {
+        channel: delivery.channel,
+        type: delivery.type,
+        success: delivery.status === 'delivered',
+        status: delivery.status,
+        attempts: delivery.attempts,
+        error: delivery.lastError,
+        nextAttemptAt: delivery.nextAttemptAt
+    };
+}
+
+// Saves one message for the recipient's channels and makes the first attempt on each.
+// build(language) is called once per language the channels need. Resolves to the
+// saved message once that attempt is over.
+async function queueOutboxMessage(recipient, build) {
+    const now = new Date().toISOString();
+    const languages = recipient.channels.map(entry => getDeliveryLanguage(recipient, entry));
+    const notifications = Object.fromEntries([...new Set(languages)].map(language => [language, build(language)]));
+    const primary = notifications[resolveLanguage(recipient.language)] || Object.values(notifications)[0];
+    const message = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        kind: primary.kind,
+        subject: primary.subject,
+        recipient: { id: recipient.id, name: recipient.name },
+        notifications,
+        deliveries: recipient.channels.map((entry, i) => {
+            const channel = resolveChannel(entry);
+            return {
+                channel: entry.channelId || entry.type,
+                type: channel ? channel.type : null,
+                language: languages[i],
+                target: entry,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: now,
+                deliveredAt: null,
+                lastError: null,
+                history: []
+            };
+        })
+    };
+
+    pruneOutbox();
+    outbox.unshift(message);
+    saveOutbox();
+
+    for (const delivery of message.deliveries) {
+        await attemptDelivery(message, delivery);
+    }
+    scheduleOutbox();
+    return message;
+}
+
+// Resolves to the state of every delivery after its first attempt
+async function queueNotification(recipient, build) {
+    const message = await queueOutboxMessage(recipient, build);
+    return message.deliveries.map(describeDelivery);
+}
+
+// Test sends go through the outbox like everything else, so a failed one is retried and
+// shows up in /api/notifications. Responds once the first attempt is over.
+async function sendTestMessage(res, recipient, build, details = {}) {
+    const message = await queueOutboxMessage(recipient, build);
+    const delivery = describeDelivery(message.deliveries[0]);
+    res.status(delivery.success ? 200 : 502).json({
+        success: delivery.success,
+        notificationId: message.id,
+        delivery,
+        error: delivery.error,
+        ...details
+    });
+}
+
+async function runOutbox() {
+    if (outboxRunning) return;
+    outboxRunning = true;
+
+    try {
+        const now = Date.now();
+        for (const message of outbox.slice()) {
+            for (const delivery of message.deliveries) {
+                if (WAITING_DELIVERY_STATUSES.includes(delivery.status) && new Date(delivery.nextAttemptAt).getTime() <= now) {
+                    await attemptDelivery(message, delivery);
+                }
+            }
+        }
+    } catch (error) {
+        log(`📮 Outbox run failed: ${error.message}`, 'ERROR');
+    } finally {
+        outboxRunning = false;
+        scheduleOutbox();
+    }
+}
+
+// Sleeps until the earliest waiting delivery is due
+function scheduleOutbox() {
+    clearTimeout(outboxTimer);
+    outboxTimer = null;
+
+    const due = outbox.flatMap(message => message.deliveries)
+        .filter(delivery => WAITING_DELIVERY_STATUSES.includes(delivery.status))
+        .map(delivery => new Date(delivery.nextAttemptAt).getTime());
+    if (due.length === 0) return;
+
+    outboxTimer = setTimeout(runOutbox, Math.max(1000, Math.min(...due) - Date.now()));
+    outboxTimer.unref();
+}
+
+// Puts failed and dead-lettered deliveries back in the queue with a fresh attempt budget
+function resendDeliveries(message, channel = null) {
+    const now = new Date().toISOString();
+    const reset = message.deliveries.filter(delivery =>
+        ['failed', 'dead'].includes(delivery.status) && (!channel || delivery.channel === channel));
+    reset.forEach(delivery => {
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = now;
+    });
+    return reset.length;
+}
+
+function serialiseOutboxMessage(message, withBody = false) {
+    const { notifications, ...rest } = message;
+    return {
+        ...rest,
+        status: getMessageStatus(message),
+        deliveries: message.deliveries.map(({ target: _target, ...delivery }) => delivery),
+        ...(withBody ? {
+            bodies: Object.fromEntries(Object.entries(notifications).map(([language, notification]) => [language, {
+                subject: notification.subject,
+                text: notification.text,
+                shortText: notification.shortText || null
+            }]))
+        } : {})
+    };
+}
+
+function getOutboxSummary() {
+    const summary = { messages: outbox.length, pending: 0, sending: 0, failed: 0, delivered: 0, dead: 0 };
+    outbox.forEach(message => message.deliveries.forEach(delivery => { summary[delivery.status]++; }));
+    return summary;
+}
+
+// **ZONE REGISTRY**
+// Zones are seeded from zones.json in the repo and, once edited through /api/zones,
+// kept in DATA_DIR/zones.json. Each zone has an id, a display name, a centroid and
+// an optional GeoJSON Polygon/MultiPolygon boundary. Runtime state is keyed by
+// display name, so renames and deletions are carried through here.
+function normaliseZone(zone) {
+    const { id, name, centroid, boundary, lat, lon, ...metadata } = zone;
+    let point = centroid;
+    if (!point && boundary) point = computeBoundaryCentroid(boundary);
+
+    return {
+        id,
+        name,
+        centroid: point ? { lat: Number(point.lat), lon: Number(point.lon) } : null,
+        boundary: boundary || null,
+        ...metadata,
+        lat: point ? Number(point.lat) : null,
+        lon: point ? Number(point.lon) : null
+    };
+}
+
+// Plain vertex average of the outer ring(s) - close enough for compact city wards
+function computeBoundaryCentroid(boundary) {
+    const rings = boundary.type === 'MultiPolygon'
+        ? boundary.coordinates.map(polygon => polygon[0])
+        : [boundary.coordinates[0]];
+    // GeoJSON rings repeat their first vertex at the end
+    const points = rings.flatMap(ring => ring.slice(0, -1));
+    if (points.length === 0) return null;
+
+    return {
+        lat: roundTo(points.reduce((sum, p) => sum + p[1], 0) / points.length, 5),
+        lon: roundTo(points.reduce((sum, p) => sum + p[0], 0) / points.length, 5)
+    };
+}
+
+function loadZones() {
+    const stored = loadJSONFile(ZONES_FILE, null);
+    const source = stored || loadJSONFile(ZONES_SEED_FILE, []);
+    monitoredZones = source.map(normaliseZone);
+    log(`📍 Loaded ${monitoredZones.length} zones from ${stored ? ZONES_FILE : ZONES_SEED_FILE}`);
+}
+
+function saveZones() {
+    saveJSONFile(ZONES_FILE, monitoredZones.map(({ lat, lon, ...zone }) => zone));
+}
+
+function serialiseZone(zone) {
+    const { lat, lon, ...rest } = zone;
+    return rest;
+}
+
+function isValidRing(ring) {
+    return Array.isArray(ring) && ring.length >= 4 &&
+        ring.every(p => Array.isArray(p) && p.length >= 2 && p.every(n => typeof n === 'number' && isFinite(n)));
+}
+
+// Returns an error string, or null when the zone is valid
+function validateZone(zone, ignoreId = null) {
+    if (!zone.id || !/^[a-z0-9][a-z0-9-]*$/.test(zone.id)) return 'id must be lowercase letters, digits and dashes';
+    if (!zone.name || typeof zone.name !== 'string' || !zone.name.trim()) return 'name is required';
+
+    const others = monitoredZones.filter(z => z.id !== ignoreId);
+    if (others.some(z => z.id === zone.id)) return `A zone with id "${zone.id}" already exists`;
+    if (others.some(z => z.name.toLowerCase() === zone.name.toLowerCase())) return `A zone named "${zone.name}" already exists`;
+
+    if (zone.boundary) {
+        const { type, coordinates } = zone.boundary;
+        const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : null;
+        if (!polygons || !Array.isArray(polygons) || !polygons.every(p => Array.isArray(p) && p.length > 0 && p.every(isValidRing))) {
+            return 'boundary must be a GeoJSON Polygon or MultiPolygon geometry';
+        }
+    }
+
+    if (!zone.centroid || !isFinite(zone.centroid.lat) || !isFinite(zone.centroid.lon) ||
+        Math.abs(zone.centroid.lat) > 90 || Math.abs(zone.centroid.lon) > 180) {
+        return 'centroid { lat, lon } is required (or a boundary to derive it from)';
+    }
+    return validateVulnerability(zone.vulnerability, zone.id);
+}
+
+function buildZone(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    if (input.boundary && !input.centroid) delete merged.centroid;
+    if (merged.name) merged.name = String(merged.name).trim();
+    if (!merged.id && merged.name) merged.id = merged.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const { lat, lon, ...zone } = merged;
+    return normaliseZone(zone);
+}
+
+function renameZoneReferences(oldName, newName) {
+    [weatherData, zoneAlertStates, zoneForecasts, zoneRainSamples, forecastWarningState, zoneSchedule].forEach(store => {
+        if (store[oldName] !== undefined) {
+            store[newName] = store[oldName];
+            delete store[oldName];
+        }
+    });
+    if (weatherData[newName]) weatherData[newName].zone = newName;
+    if (zoneForecasts[newName]) zoneForecasts[newName].zone = newName;
+    subscribers.forEach(subscriber => {
+        subscriber.zones = subscriber.zones.map(name => (name === oldName ? newName : name));
+    });
+    saveSubscribers();
+    saveJSONFile(ALERT_STATE_FILE, zoneAlertStates);
+}
+
+function removeZoneReferences(name) {
+    [weatherData, zoneAlertStates, zoneForecasts, zoneRainSamples, forecastWarningState, zoneSchedule].forEach(store => {
+        delete store[name];
+    });
+
+    // A subscriber left with no zones would otherwise start receiving every zone
+    subscribers.forEach(subscriber => {
+        if (!subscriber.zones.includes(name)) return;
+        subscriber.zones = subscriber.zones.filter(z => z !== name);
+        if (subscriber.zones.length === 0) {
+            subscriber.active = false;
+            log(`👤 Subscriber ${subscriber.name} paused - their only zone ${name} was removed`, 'WARNING');
+        }
+    });
+    saveSubscribers();
+    saveJSONFile(ALERT_STATE_FILE, zoneAlertStates);
+}
+
+function zoneToFeature(zone) {
+    const data = weatherData[zone.name];
+    return {
+        type: 'Feature',
+        id: zone.id,
+        geometry: zone.boundary || { type: 'Point', coordinates: [zone.lon, zone.lat] },
+        properties: {
+            id: zone.id,
+            name: zone.name,
+            centroid: zone.centroid,
+            rainfall: data ? data.rainfall : null,
+            intensity: data ? data.intensity : null,
+            floodRisk: data && data.floodRisk ? data.floodRisk.level : null
+        }
+    };
+}
+
+// **SUBSCRIBER REGISTRY**
+// Each subscriber picks zones (empty = all), a minimum intensity and one or more
+// channels. The TELEGRAM_CHAT_ID / EMAIL_TO from config act as a built-in
+// subscriber for every zone so existing deployments keep working unchanged.
+const INTENSITY_LEVELS = ['No Rain', 'Light', 'Medium', 'Heavy', 'Very Heavy'];
+
+function loadSubscribers() {
+    subscribers = loadJSONFile(SUBSCRIBERS_FILE, []);
+    log(`💾 Loaded ${subscribers.length} subscribers`);
+}
+
+function saveSubscribers() {
+    saveJSONFile(SUBSCRIBERS_FILE, subscribers);
+}
+
+function getDefaultSubscriber() {
+    const channels = [];
+    if (config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_CHAT_ID) {
+        channels.push({ type: 'telegram', chatId: config.TELEGRAM_CHAT_ID });
+    }
+    if (config.EMAIL_FROM && config.EMAIL_TO && config.EMAIL_PASS) {
+        channels.push({ type: 'email', address: config.EMAIL_TO });
+    }
+    if (channels.length === 0) return null;
+
+    return {
+        id: 'default',
+        name: 'Default recipients (from environment)',
+        zones: [],
+        minIntensity: 'Light',
+        language: config.DEFAULT_LANGUAGE,
+        channels,
+        digests: Object.keys(DIGEST_PERIODS),
+        active: true,
+        builtIn: true
+    };
+}
+
+function getAllSubscribers() {
+    const defaultSubscriber = getDefaultSubscriber();
+    return defaultSubscriber ? [defaultSubscriber, ...subscribers] : [...subscribers];
+}
+
+// Returns an error string, or null when the subscriber is valid
+function validateSubscriber(subscriber) {
+    if (!subscriber.name || typeof subscriber.name !== 'string') return 'name is required';
+    if (!Array.isArray(subscriber.zones)) return 'zones must be an array of zone names (empty for all zones)';
+
+    const unknownZones = subscriber.zones.filter(name => !monitoredZones.some(z => z.name === name));
+    if (unknownZones.length > 0) return `Unknown zone(s): ${unknownZones.join(', ')}`;
+
+    const languages = [subscriber.language, ...(subscriber.channels || []).map(channel => channel.language)];
+    if (languages.some(language => language && !LANGUAGES.includes(language))) {
+        return `language must be one of: ${LANGUAGES.join(', ')}`;
+    }
+
+    if (!INTENSITY_LEVELS.slice(1).includes(subscriber.minIntensity)) {
+        return `minIntensity must be one of: ${INTENSITY_LEVELS.slice(1).join(', ')}`;
+    }
+
+    if (!Array.isArray(subscriber.channels) || subscriber.channels.length === 0) return 'at least one channel is required';
+    for (const channel of subscriber.channels) {
+        if (channel.channelId) {
+            if (!notificationChannels.some(c => c.id === channel.channelId)) return `Unknown channel "${channel.channelId}"`;
+            continue;
+        }
+        const { type, language: _language, ...settings } = channel;
+        const error = validateChannelSettings(type, settings);
+        if (error) return error;
+        // Subscribers are readable by operators, so secrets only live in masked configured channels
+        const { fields } = channelTypes.get(type);
+        const secret = Object.keys(settings).find(name => fields[name] && fields[name].secret);
+        if (secret) return `${type} ${secret} must be kept in a configured channel - reference it with { channelId }`;
+    }
+
+    if (!Array.isArray(subscriber.digests) || subscriber.digests.some(period => !DIGEST_PERIODS[period])) {
+        return `digests must be an array of: ${Object.keys(DIGEST_PERIODS).join(', ')}`;
+    }
+    return null;
+}
+
+function buildSubscriber(input, existing = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: existing.id || crypto.randomUUID(),
+        name: input.name !== undefined ? String(input.name).trim() : existing.name,
+        zones: input.zones !== undefined ? input.zones : (existing.zones || []),
+        minIntensity: input.minIntensity || existing.minIntensity || 'Light',
+        language: input.language !== undefined ? input.language || null : (existing.language || null),
+        channels: input.channels !== undefined ? input.channels : existing.channels,
+        digests: input.digests !== undefined ? input.digests : (existing.digests || Object.keys(DIGEST_PERIODS)),
+        active: input.active !== undefined ? !!input.active : (existing.active !== undefined ? existing.active : true),
+        createdAt: existing.createdAt || now,
+        updatedAt: now
+    };
+}
+
+function subscriberWantsZone(subscriber, zoneName) {
+    return subscriber.zones.length === 0 || subscriber.zones.includes(zoneName);
+}
+
+// An all-clear is relevant when the event it closes reached the subscriber's minimum intensity
+function filterTransitionsForSubscriber(subscriber, transitions) {
+    const minLevel = INTENSITY_LEVELS.indexOf(subscriber.minIntensity);
+    return transitions.filter(t => {
+        if (!subscriberWantsZone(subscriber, t.weather.zone)) return false;
+        const rainfall = t.type === 'all-clear' ? t.peakRainfall : t.weather.rainfall;
+        return INTENSITY_LEVELS.indexOf(getRainfallIntensity(rainfall)) >= minLevel;
+    });
+}
+
+// build(language) returns the notification in one language; it is called once for
+// each language the subscriber's channels use
+async function sendToSubscriber(subscriber, build) {
+    if (notificationsMuted()) {
+        log(`🔇 Not notifying ${subscriber.name} - notifications are muted in ${getCurrentMode().id} mode`);
+        return subscriber.channels.map(entry => ({ channel: entry.channelId || entry.type, success: false, skipped: 'muted' }));
+    }
+
+    return queueNotification(subscriber, build);
+}
+
+// **INTERACTIVE TELEGRAM BOT**
+// Commands arrive either through a getUpdates long-poll loop (TELEGRAM_BOT_MODE=polling)
+// or through POST /telegram/webhook (TELEGRAM_BOT_MODE=webhook). TELEGRAM_API_BASE
+// can point at a local stand-in for the Bot API when testing.
+let telegramUpdateOffset = 0;
+let isTelegramPolling = false;
+let telegramPollLoop = null;
+
+// Zones can be named in any language the bot speaks
+function findZoneByName(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return monitoredZones.find(z => z.name.toLowerCase() === wanted || z.id === wanted ||
+        LANGUAGES.some(language => translator(language).zone(z.name).toLowerCase() === wanted)) || null;
+}
+
+function telegramBotUrl(method) {
+    return `${config.TELEGRAM_API_BASE}/bot${config.TELEGRAM_BOT_TOKEN}/${method}`;
+}
+
+function parseTelegramCommand(text) {
+    const match = String(text || '').trim().match(/^\/([a-z_]+)(?:@\S+)?(?:\s+([\s\S]*))?$/i);
+    return match ? { command: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+function isTelegramAdmin(user) {
+    return !!user && config.TELEGRAM_ADMIN_IDS.includes(String(user.id));
+}
+
+function findTelegramSubscriber(chatId) {
+    return subscribers.find(s => s.channels.length === 1 &&
+        s.channels[0].type === 'telegram' && String(s.channels[0].chatId) === String(chatId));
+}
+
+// Replies use the language the chat's alerts are delivered in
+function getTelegramChatLanguage(chatId) {
+    const subscriber = findTelegramSubscriber(chatId);
+    return subscriber ? getDeliveryLanguage(subscriber, subscriber.channels[0]) : resolveLanguage(config.DEFAULT_LANGUAGE);
+}
+
+function formatTelegramStatus(t) {
+    const zones = Object.values(weatherData);
+    const raining = zones.filter(z => z.realData && z.rainfall >= getRainingThreshold());
+    const currentMode = getCurrentMode().id;
+
+    return `${t('bot.statusTitle')}
+${t('bot.monitoring', { state: t(isMonitoringActive ? 'bot.active' : 'bot.stopped') })}
+${t('bot.mode', { mode: t(`modes.${currentMode}`), muted: notificationsMuted() ? t('bot.muted') : '' })}
+${t('bot.lastUpdate', { time: lastRealDataUpdate ? t.date(lastRealDataUpdate) : t('bot.never') })}
+${t('bot.zonesWithData', { count: zones.filter(z => z.realData).length, total: monitoredZones.length })}
+
+${raining.length > 0
+    ? `${t('bot.raining', { count: raining.length })}\n${raining
+        .sort((a, b) => b.rainfall - a.rainfall)
+        .map(z => t('bot.rainingZone', { zone: t.zone(z.zone), rate: z.rainfall.toFixed(1), intensity: t.intensity(z.intensity) }))
+        .join('\n')}`
+    : t('bot.noRain')}
+
+${t('bot.floodRisk', { summary: summariseFloodRisk(null, t.language) })}`;
+}
+
+function formatTelegramZone(zone, t) {
+    const data = weatherData[zone.name];
+    if (!data) return t('bot.noReading', { zone: t.zone(zone.name) });
+    if (!data.realData) return t('bot.noProvider', { zone: t.zone(zone.name), time: t.date(data.timestamp) });
+
+    const zoneState = zoneAlertStates[zone.name];
+    return `📍 ${t.zone(data.zone)}
+${t('bot.rainfall', { rate: data.rainfall.toFixed(1), intensity: t.intensity(data.intensity) })}
+🪣 ${formatAccumulation(data.accumulation, t.language)}
+${t('bot.zoneFloodRisk', { risk: formatZoneFloodRisk(data.floodRisk, t.language) })}
+🌡️ ${formatTemperature(data.temperature, t.language)} | 💧 ${formatHumidity(data.humidity, t.language)}
+☁️ ${data.description}
+${t('bot.alertState', { state: t(`alertState.${zoneState ? zoneState.state : 'clear'}`) })}
+${t('bot.sources', { sources: data.sources })}
+${t('bot.fusion', { summary: formatFusionSummary(data, t.language) })}
+🕐 ${t.date(data.timestamp)}`;
+}
+
+function formatTelegramAlerts(t) {
+    const recent = alertHistory.slice(0, 10);
+    if (recent.length === 0) return t('bot.noAlerts');
+    return `${t('bot.recentAlerts')}\n\n${recent.map(alert =>
+        `${t.date(alert.timestamp)}\n${formatAlertMessage(alert, t.language)}`
+    ).join('\n\n')}`;
+}
+
+function listTelegramZones(t) {
+    return monitoredZones.map(z => t.zone(z.name)).join(', ');
+}
+
+function handleTelegramSubscribe(chat, user, args, t) {
+    if (!args) return t('bot.subscribeUsage');
+
+    let zones = [];
+    if (args.toLowerCase() !== 'all') {
+        const names = args.split(',').map(n => n.trim()).filter(Boolean);
+        const unknown = names.filter(n => !findZoneByName(n));
+        if (unknown.length > 0) {
+            return t('bot.unknownZones', { zones: unknown.join(', '), all: listTelegramZones(t) });
+        }
+        zones = names.map(n => findZoneByName(n).name);
+    }
+
+    let subscriber = findTelegramSubscriber(chat.id);
+    if (subscriber) {
+        // An empty zone list already means every zone
+        subscriber.zones = zones.length === 0 || subscriber.zones.length === 0
+            ? []
+            : Array.from(new Set([...subscriber.zones, ...zones]));
+        subscriber.active = true;
+        subscriber.updatedAt = new Date().toISOString();
+    } else {
+        subscriber = buildSubscriber({
+            name: `Telegram: ${chat.title || (user && (user.username || user.first_name)) || chat.id}`,
+            zones,
+            channels: [{ type: 'telegram', chatId: String(chat.id) }]
+        });
+        subscribers.push(subscriber);
+    }
+
+    saveSubscribers();
+    log(`👤 Telegram subscription for chat ${chat.id}: ${subscriber.zones.join(', ') || 'all zones'}`);
+    return t('bot.subscribed', {
+        zones: subscriber.zones.map(t.zone).join(', ') || t('bot.allZones'),
+        intensity: t.intensity(subscriber.minIntensity)
+    });
+}
+
+function handleTelegramUnsubscribe(chat, args, t) {
+    const subscriber = findTelegramSubscriber(chat.id);
+    if (!subscriber) return t('bot.noSubscription');
+
+    if (args) {
+        const zone = findZoneByName(args);
+        if (!zone || !subscriber.zones.includes(zone.name)) return t('bot.notSubscribed', { zone: args });
+        subscriber.zones = subscriber.zones.filter(name => name !== zone.name);
+        if (subscriber.zones.length > 0) {
+            subscriber.updatedAt = new Date().toISOString();
+            saveSubscribers();
+            return t('bot.unsubscribedZone', { zone: t.zone(zone.name), zones: subscriber.zones.map(t.zone).join(', ') });
+        }
+    }
+
+    subscribers = subscribers.filter(s => s !== subscriber);
+    saveSubscribers();
+    log(`👤 Telegram chat ${chat.id} unsubscribed`);
+    return t('bot.unsubscribedAll');
+}
+
+// The choice is kept on the chat's subscriber, so alerts follow it too
+function handleTelegramLanguage(chat, args, t) {
+    if (!args) return t('bot.language', { language: t('meta.name') });
+
+    const language = args.toLowerCase();
+    if (!LANGUAGES.includes(language)) return t('bot.languageUnknown', { language: args });
+
+    const subscriber = findTelegramSubscriber(chat.id);
+    if (!subscriber) return t('bot.languageNeedsSubscription');
+
+    subscriber.language = language;
+    delete subscriber.channels[0].language;
+    subscriber.updatedAt = new Date().toISOString();
+    saveSubscribers();
+    log(`👤 Telegram chat ${chat.id} switched to ${language}`);
+    const chosen = translator(language);
+    return chosen('bot.languageSet', { language: chosen('meta.name') });
+}
+
+async function handleTelegramCommand(message) {
+    const parsed = parseTelegramCommand(message.text);
+    if (!parsed) return null;
+
+    const { command, args } = parsed;
+    const t = translator(getTelegramChatLanguage(message.chat.id));
+    switch (command) {
+        case 'start':
+        case 'help':
+            return t('bot.help');
+        case 'status':
+            return formatTelegramStatus(t);
+        case 'zone': {
+            const zone = findZoneByName(args);
+            return zone ? formatTelegramZone(zone, t) : t('bot.zoneUsage', { zones: listTelegramZones(t) });
+        }
+        case 'alerts':
+            return formatTelegramAlerts(t);
+        case 'subscribe':
+            return handleTelegramSubscribe(message.chat, message.from, args, t);
+        case 'unsubscribe':
+            return handleTelegramUnsubscribe(message.chat, args, t);
+        case 'language':
+            return handleTelegramLanguage(message.chat, args, t);
+        case 'start_monitoring':
+        case 'stop_monitoring': {
+            if (!isTelegramAdmin(message.from)) {
+                log(`📱 Refused /${command} from unauthorised Telegram user ${message.from ? message.from.id : 'unknown'}`, 'WARNING');
+                recordAudit({
+                    actor: `telegram:${message.from ? message.from.id : 'unknown'}`,
+                    via: 'telegram',
+                    action: command === 'start_monitoring' ? 'monitoring.start' : 'monitoring.stop',
+                    outcome: 'denied'
+                });
+                return t('bot.adminsOnly');
+            }
+            const result = command === 'start_monitoring' ? await startMonitoring() : stopMonitoring();
+            recordAudit({
+                actor: `telegram:${message.from.id}`,
+                role: 'admin',
+                via: 'telegram',
+                action: command === 'start_monitoring' ? 'monitoring.start' : 'monitoring.stop',
+                outcome: result.success ? 'ok' : 'failed'
+            });
+            return `${result.success ? '✅' : '❌'} ${result.message || result.error}`;
+        }
+        default:
+            return `${t('bot.unknownCommand', { command })}\n\n${t('bot.help')}`;
+    }
+}
+
+async function handleTelegramUpdate(update) {
+    const message = update.message || update.edited_message;
+    if (!message || !message.text || !message.chat) return;
+
+    try {
+        const reply = await handleTelegramCommand(message);
+        if (reply) {
+            await sendTelegramMessage(reply, message.chat.id);
+        }
+    } catch (error) {
+        log(`📱 Failed to handle Telegram command "${message.text}": ${error.message}`, 'ERROR');
+    }
+}
+
+async function pollTelegramUpdates() {
+    const axios = require('axios');
+    isTelegramPolling = true;
+
+    try {
+        // getUpdates is refused while a webhook is registered
+        await axios.post(telegramBotUrl('deleteWebhook'), {}, { timeout: 10000 });
+    } catch (error) {
+        log(`📱 deleteWebhook failed: ${error.message}`, 'WARNING');
+    }
+
+    log('📱 Telegram bot polling for commands');
+    while (isTelegramPolling) {
+        try {
+            const response = await axios.get(telegramBotUrl('getUpdates'), {
+                params: {
+                    offset: telegramUpdateOffset,
+                    timeout: config.TELEGRAM_POLL_TIMEOUT,
+                    allowed_updates: JSON.stringify(['message', 'edited_message'])
+                },
+                timeout: (config.TELEGRAM_POLL_TIMEOUT + 10) * 1000
+            });
+
+            for (const update of response.data.result || []) {
+                telegramUpdateOffset = update.update_id + 1;
+                await handleTelegramUpdate(update);
+            }
+        } catch (error) {
+            log(`📱 getUpdates error: ${error.message}`, 'ERROR');
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
+async function registerTelegramWebhook() {
+    if (!config.TELEGRAM_WEBHOOK_URL) {
+        log('📱 Telegram webhook mode without TELEGRAM_WEBHOOK_URL - expecting the webhook to be registered already', 'WARNING');
+        return;
+    }
+
+    try {
+        const axios = require('axios');
+        await axios.post(telegramBotUrl('setWebhook'), {
+            url: `${config.TELEGRAM_WEBHOOK_URL}/telegram/webhook`,
+            secret_token: config.TELEGRAM_WEBHOOK_SECRET,
+            allowed_updates: ['message', 'edited_message']
+        }, { timeout: 10000 });
+        log(`📱 Telegram webhook registered at ${config.TELEGRAM_WEBHOOK_URL}/telegram/webhook`);
+    } catch (error) {
+        log(`📱 setWebhook failed: ${error.message}`, 'ERROR');
+    }
+}
+
+function startTelegramBot() {
+    if (!config.TELEGRAM_BOT_TOKEN || config.TELEGRAM_BOT_MODE === 'off') return;
+
+    if (config.TELEGRAM_BOT_MODE === 'polling') {
+        telegramPollLoop = pollTelegramUpdates();
+    } else if (config.TELEGRAM_BOT_MODE === 'webhook') {
+        // Without a secret anyone who finds the URL could post updates as an admin
+        if (!config.TELEGRAM_WEBHOOK_SECRET) {
+            log('📱 Telegram webhook mode needs TELEGRAM_WEBHOOK_SECRET - bot commands disabled', 'ERROR');
+            return;
+        }
+        registerTelegramWebhook();
+    } else {
+        log(`📱 Unknown TELEGRAM_BOT_MODE "${config.TELEGRAM_BOT_MODE}" - bot commands disabled`, 'WARNING');
+    }
+}
+
+// Resolves once the long-poll loop has finished its current getUpdates call
+function stopTelegramBot() {
+    isTelegramPolling = false;
+    return telegramPollLoop || Promise.resolve();
+}
+
+// **PROMETHEUS METRICS**
+// A small hand-rolled registry: counters and histograms are updated where things
+// happen, zone gauges are read from the live state when /metrics is scraped.
+const metricFamilies = new Map();
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPDATE_DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120];
+const processStartedAt = Date.now();
+let lastSuccessfulUpdate = null;
+
+function defineMetric(name, type, help, buckets = null) {
+    metricFamilies.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+function getMetricSeries(name, labels) {
+    const family = metricFamilies.get(name);
+    const key = JSON.stringify(labels);
+    if (!family.series.has(key)) {
+        family.series.set(key, family.type === 'histogram'
+            ? { labels, counts: family.buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 });
+    }
+    return family.series.get(key);
+}
+
+function incrementMetric(name, labels = {}, by = 1) {
+    getMetricSeries(name, labels).value += by;
+}
+
+function observeMetric(name, labels, value) {
+    const family = metricFamilies.get(name);
+    const series = getMetricSeries(name, labels);
+    family.buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatMetricFamily(family, series) {
+    const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+    series.forEach(sample => {
+        if (family.type !== 'histogram') {
+            lines.push(`${family.name}${formatLabels(sample.labels)} ${sample.value}`);
+            return;
+        }
+        family.buckets.forEach((bound, index) => {
+            lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: bound })} ${sample.counts[index]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+        lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${roundTo(sample.sum, 6)}`);
+        lines.push(`${family.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    });
+    return lines.join('\n');
+}
+
+// Gauges derived from current state at scrape time
+function collectStateGauges() {
+    const gauges = [];
+    const gauge = (name, help, samples) => gauges.push({ family: { name, type: 'gauge', help }, series: samples });
+    const zones = monitoredZones.map(zone => ({ zone, weather: weatherData[zone.name] }));
+    const withData = zones.filter(({ weather }) => weather && weather.realData);
+
+    gauge('rain_zone_data_available', 'Whether the zone has a validated reading (1) or not (0)',
+        zones.map(({ zone, weather }) => ({ labels: { zone: zone.name }, value: weather && weather.realData ? 1 : 0 })));
+    gauge('rain_zone_rainfall_mm_per_hour', 'Fused rainfall rate for the zone',
+        withData.map(({ zone, weather }) => ({ labels: { zone: zone.name }, value: weather.rainfall })));
+    gauge('rain_zone_accumulation_mm', 'Rolling rainfall total for the zone',
+        withData.filter(({ weather }) => weather.accumulation).flatMap(({ zone, weather }) =>
+            [...Object.keys(ACCUMULATION_WINDOWS), 'since0830'].map(window => ({
+                labels: { zone: zone.name, window },
+                value: weather.accumulation[window].mm
+            }))));
+    gauge('rain_zone_temperature_celsius', 'Fused temperature for the zone',
+        withData.filter(({ weather }) => weather.temperature !== null).map(({ zone, weather }) => ({ labels: { zone: zone.name }, value: weather.temperature })));
+    gauge('rain_zone_humidity_percent', 'Fused relative humidity for the zone',
+        withData.filter(({ weather }) => weather.humidity !== null).map(({ zone, weather }) => ({ labels: { zone: zone.name }, value: weather.humidity })));
+    gauge('rain_zone_alert_level', `Alert level for the zone (${RAIN_LEVELS.map((level, index) => `${index}=${level}`).join(', ')})`,
+        zones.map(({ zone }) => {
+            const zoneState = zoneAlertStates[zone.name];
+            return { labels: { zone: zone.name }, value: Math.max(0, RAIN_LEVELS.indexOf(zoneState ? zoneState.state : 'clear')) };
+        }));
+    gauge('rain_zone_flood_risk_score', 'Flood risk score for the zone (0-100)',
+        withData.filter(({ weather }) => weather.floodRisk).map(({ zone, weather }) => ({ labels: { zone: zone.name }, value: weather.floodRisk.score })));
+    gauge('rain_last_successful_update_timestamp_seconds', 'Unix time of the last update that produced at least one validated reading',
+        [{ labels: {}, value: lastSuccessfulUpdate ? Math.floor(lastSuccessfulUpdate / 1000) : 0 }]);
+    gauge('rain_monitoring_active', 'Whether scheduled monitoring is on',
+        [{ labels: {}, value: isMonitoringActive ? 1 : 0 }]);
+    gauge('rain_coverage_alarm', 'Whether the provider coverage alarm is raised',
+        [{ labels: {}, value: coverageAlarm.active ? 1 : 0 }]);
+    const outboxSummary = getOutboxSummary();
+    gauge('rain_outbox_deliveries', 'Notification deliveries in the outbox, by status',
+        ['pending', 'failed', 'dead'].map(status => ({ labels: { status }, value: outboxSummary[status] })));
+    gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds',
+        [{ labels: {}, value: Math.floor(processStartedAt / 1000) }]);
+    return gauges;
+}
+
+function renderMetrics() {
+    const blocks = collectStateGauges().map(({ family, series }) => formatMetricFamily(family, series));
+    metricFamilies.forEach(family => blocks.push(formatMetricFamily(family, Array.from(family.series.values()))));
+    return blocks.join('\n') + '\n';
+}
+
+defineMetric('rain_provider_requests_total', 'counter', 'Requests sent to each weather provider (cache hits excluded)');
+defineMetric('rain_provider_errors_total', 'counter', 'Failed requests to each weather provider');
+defineMetric('rain_provider_request_duration_seconds', 'histogram', 'Weather provider request latency', LATENCY_BUCKETS);
+defineMetric('rain_alerts_total', 'counter', 'Alerts recorded, by alert type');
+defineMetric('rain_notifications_total', 'counter', 'Notifications attempted, by channel and outcome');
+defineMetric('rain_notifications_dead_total', 'counter', 'Notification deliveries dead-lettered, by channel type');
+defineMetric('rain_updates_total', 'counter', 'Weather update cycles, by outcome');
+defineMetric('rain_update_duration_seconds', 'histogram', 'Duration of weather update cycles', UPDATE_DURATION_BUCKETS);
+
+// **LIVE EVENT STREAM**
+// Dashboards hold a Server-Sent Events connection on /api/stream and receive
+// each zone as it is fetched instead of polling /api/weather.
+const STREAM_KEEPALIVE_MS = 25 * 1000;
+const streamClients = new Set();
+let streamEventId = 0;
+let streamKeepaliveTimer = null;
+
+function writeStreamEvent(res, id, type, data) {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastEvent(type, data) {
+    if (streamClients.size === 0) return;
+    const id = ++streamEventId;
+    for (const client of streamClients) {
+        writeStreamEvent(client, id, type, data);
+    }
+}
+
+// A comment line every STREAM_KEEPALIVE_MS keeps proxies from timing out idle
+// connections. The timer only runs while someone is connected.
+function addStreamClient(res) {
+    streamClients.add(res);
+    if (!streamKeepaliveTimer) {
+        streamKeepaliveTimer = setInterval(() => {
+            for (const client of streamClients) client.write(': ping\n\n');
+        }, STREAM_KEEPALIVE_MS);
+    }
+}
+
+function stopStreamKeepalive() {
+    clearInterval(streamKeepaliveTimer);
+    streamKeepaliveTimer = null;
+}
+
+function removeStreamClient(res) {
+    streamClients.delete(res);
+    if (streamClients.size === 0) stopStreamKeepalive();
+}
+
+function closeStreamClients() {
+    stopStreamKeepalive();
+    for (const client of streamClients) client.end();
+    streamClients.clear();
+}
+
+// **COVERAGE ALARMS**
+// Checked after every update. Operators (not subscribers) are told once when
+// coverage drops below COVERAGE_MIN_PROVIDERS working providers or more than
+// COVERAGE_MAX_ZONES_WITHOUT_DATA zones have no data, and once when it recovers.
+let coverageAlarm = { active: false, since: null, reasons: [], checkedAt: null };
+
+function assessCoverage() {
+    const providers = getEnabledProviders('current').map(getProviderHealth);
+    const working = providers.filter(p => p.status === 'up' &&
+        (p.pipeline.dailyBudget === null || p.pipeline.requestsToday < p.pipeline.dailyBudget));
+    const zonesWithoutData = monitoredZones
+        .filter(zone => !weatherData[zone.name] || !weatherData[zone.name].realData)
+        .map(zone => zone.name);
+
+    const reasons = [];
+    if (working.length < config.COVERAGE_MIN_PROVIDERS) {
+        reasons.push(`only ${working.length} of ${providers.length} weather providers working (minimum ${config.COVERAGE_MIN_PROVIDERS})`);
+    }
+    if (zonesWithoutData.length > config.COVERAGE_MAX_ZONES_WITHOUT_DATA) {
+        reasons.push(`${zonesWithoutData.length} zones without data: ${zonesWithoutData.join(', ')}`);
+    }
+
+    return {
+        workingProviders: working.map(p => p.name),
+        failingProviders: providers.filter(p => !working.includes(p)).map(p => ({ name: p.name, status: p.status, lastError: p.lastError })),
+        zonesWithoutData,
+        reasons
+    };
+}
+
+async function notifyOperators(message, subject, htmlContent) {
+    const channels = [
+        ...config.OPERATOR_TELEGRAM_CHAT_IDS.map(chatId => ({ type: 'telegram', chatId })),
+        ...config.OPERATOR_EMAILS.map(address => ({ type: 'email', address }))
+    ];
+    if (channels.length === 0) {
+        log('🩺 No OPERATOR_TELEGRAM_CHAT_IDS or OPERATOR_EMAILS configured - coverage alarm only logged', 'WARNING');
+        return;
+    }
+
+    // Operator alarms are written in English only
+    await queueNotification(
+        { id: 'operators', name: 'Operators', channels },
+        () => ({ kind: 'coverage', subject, text: message, html: htmlContent, data: { ...coverageAlarm } })
+    );
+}
+
+async function checkCoverage() {
+    const coverage = assessCoverage();
+    const degraded = coverage.reasons.length > 0;
+    const now = new Date().toISOString();
+    coverageAlarm = { ...coverageAlarm, reasons: coverage.reasons, checkedAt: now };
+
+    if (degraded === coverageAlarm.active) return coverage;
+
+    coverageAlarm.active = degraded;
+    coverageAlarm.since = now;
+    broadcastEvent('coverage', { ...coverageAlarm, ...coverage });
+
+    const failing = coverage.failingProviders
+        .map(p => `• ${p.name}: ${p.status}${p.lastError ? ` - ${p.lastError.message}` : ''}`)
+        .join('\n');
+    const message = degraded
+        ? `🩺 COVERAGE ALARM - Mumbai Rain Monitor\n${coverage.reasons.map(r => `⚠️ ${r}`).join('\n')}${failing ? `\n\nProviders:\n${failing}` : ''}\n\nRain alerts may be missed until this recovers.`
+        : `🩺 Coverage restored - ${coverage.workingProviders.length} providers working, ${monitoredZones.length - coverage.zonesWithoutData.length}/${monitoredZones.length} zones with data.`;
+
+    log(degraded ? `🩺 Coverage alarm: ${coverage.reasons.join('; ')}` : '🩺 Coverage restored', degraded ? 'WARNING' : 'INFO');
+    await notifyOperators(
+        message,
+        degraded ? '🩺 Mumbai Rain Monitor - coverage alarm' : '🩺 Mumbai Rain Monitor - coverage restored',
+        `<pre style="font-family: Arial, sans-serif;">${escapeHtml(message)}</pre>`
+    );
+    return coverage;
+}
+
+// Fetch a single zone and fold the result into the live state
+async function updateZoneWeather(zone) {
+    const weatherInfo = await fetchRealWeatherData(zone);
+    if (weatherInfo.realData) {
+        weatherInfo.accumulation = recordRainSample(zone.name, weatherInfo.timestamp, weatherInfo.rainfall);
+    }
+
+    // The zone may have been removed or renamed while we were fetching
+    if (monitoredZones.includes(zone)) {
+        weatherData[zone.name] = weatherInfo;
+        weatherInfo.floodRisk = assessZoneFloodRisk(zone);
+        broadcastEvent('zone-update', weatherInfo);
+    }
+    return weatherInfo;
+}
+
+// Update a set of zones, then run alerting once over the whole city. Updates are
+// serialised so a manual refresh never overlaps a scheduled run.
+let updateQueue = Promise.resolve();
+
+function updateZonesWeather(zones) {
+    const run = updateQueue.then(async () => {
+        const startedAt = Date.now();
+        log(`🔄 Updating weather for ${zones.length === monitoredZones.length ? 'all' : zones.length} zone${zones.length === 1 ? '' : 's'}...`);
+        // All zones at once - the fetch pipeline holds each provider to its own limits
+        const results = await Promise.all(zones.map(zone => updateZoneWeather(zone)));
+        const successCount = results.filter(weatherInfo => weatherInfo.realData).length;
+
+        // lastUpdate is when data last came in; a cycle where every fetch failed only
+        // moves lastUpdateAttempt, so the data's age stays visible
+        lastUpdateAttempt = new Date();
+        if (successCount > 0) {
+            lastRealDataUpdate = lastUpdateAttempt;
+            lastSuccessfulUpdate = lastRealDataUpdate.getTime();
+        }
+        saveSourceReliability();
+
+        log(`📊 Weather update complete: ${successCount}/${zones.length} zones with validated data`);
+        broadcastEvent('update-complete', {
+            lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+            lastUpdateAttempt: lastUpdateAttempt.toISOString(),
+            zones: zones.length,
+            zonesWithData: successCount
+        });
+
+        updateFloodRisk();
+        await checkCoverage();
+
+        // Only process alerts for REAL rainfall (> 1mm)
+        await processRainAlerts();
+
+        await updateAllZoneForecasts();
+        await processForecastWarnings();
+
+        incrementMetric('rain_updates_total', { outcome: successCount > 0 ? 'success' : 'no_data' });
+        observeMetric('rain_update_duration_seconds', {}, (Date.now() - startedAt) / 1000);
+        return zones.map(zone => weatherData[zone.name]).filter(Boolean);
+    });
+
+    // Keep the queue alive if this run throws; the caller still sees the error
+    updateQueue = run.catch(error => {
+        incrementMetric('rain_updates_total', { outcome: 'error' });
+        log(`Weather update failed: ${error.message}`, 'ERROR');
+    });
+    return run;
+}
+
+// Update weather for all zones
+async function updateAllZonesWeather() {
+    // Snapshot the list so zone edits made mid-cycle apply from the next update
+    await updateZonesWeather([...monitoredZones]);
+    return weatherData;
+}
+
+// **OPERATING MODES**
+// The calendar picks the mode for the day, and an operator override (optionally with
+// an expiry) takes precedence over it. Each mode sets the polling cadences, the rain
+// level thresholds and whether subscribers are notified. Calendar ranges are IST
+// MM-DD dates and may wrap the new year; days outside every range are off-season.
+const MODE_IDS = ['monsoon', 'pre-monsoon', 'off-season', 'maintenance'];
+const MODE_LABELS = {
+    monsoon: 'Full monsoon',
+    'pre-monsoon': 'Pre-monsoon watch',
+    'off-season': 'Off-season',
+    maintenance: 'Maintenance'
+};
+const DEFAULT_MODE = 'off-season';
+
+let modeState = { calendar: [], settings: {}, override: null };
+let lastModeId = null;
+
+// Monsoon runs on the SCHEDULE_* and ALERT_* settings; the others start from these
+function getDefaultModeSettings(mode) {
+    const monsoon = {
+        cadences: { fast: config.SCHEDULE_FAST_MINUTES, watch: config.SCHEDULE_WATCH_MINUTES, slow: config.SCHEDULE_SLOW_MINUTES },
+        thresholds: { raining: config.ALERT_RAINING_MM, heavy: config.ALERT_HEAVY_MM, veryHeavy: config.ALERT_VERY_HEAVY_MM },
+        notifications: true
+    };
+    return {
+        monsoon,
+        'pre-monsoon': { ...monsoon, cadences: { fast: 5, watch: 15, slow: 30 }, thresholds: { ...monsoon.thresholds, raining: 2.5 } },
+        'off-season': { ...monsoon, cadences: { fast: 15, watch: 30, slow: 120 }, thresholds: { raining: 2.5, heavy: 15, veryHeavy: monsoon.thresholds.veryHeavy } },
+        maintenance: { ...monsoon, cadences: { fast: 15, watch: 30, slow: 60 }, notifications: false }
+    }[mode];
+}
+
+// "pre-monsoon:05-01:06-06,monsoon:06-07:10-15"
+function parseModeCalendar(value) {
+    return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [mode, from, to] = entry.split(':').map(part => part.trim());
+        return { mode, from, to };
+    });
+}
+
+// Returns an error string, or null when the calendar is valid
+function validateModeCalendar(calendar) {
+    if (!Array.isArray(calendar)) return 'calendar must be an array of { mode, from, to }';
+    for (const range of calendar) {
+        if (!MODE_IDS.includes(range.mode)) return `calendar mode must be one of: ${MODE_IDS.join(', ')}`;
+        if (![range.from, range.to].every(day => /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(day || ''))) {
+            return 'calendar from and to must be MM-DD dates';
+        }
+    }
+    return null;
+}
+
+function validateModeSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'settings must be an object keyed by mode';
+    for (const [mode, value] of Object.entries(settings)) {
+        if (!MODE_IDS.includes(mode)) return `Unknown mode: ${mode}`;
+        const { cadences = {}, thresholds = {}, notifications } = value || {};
+        if (!Object.values(cadences).every(minutes => typeof minutes === 'number' && minutes > 0)) {
+            return `${mode}: cadences must be positive numbers of minutes`;
+        }
+        if (!Object.values(thresholds).every(mm => typeof mm === 'number' && mm > 0)) {
+            return `${mode}: thresholds must be positive numbers of mm/hr`;
+        }
+        if (notifications !== undefined && typeof notifications !== 'boolean') return `${mode}: notifications must be true or false`;
+    }
+    return null;
+}
+
+function loadModeState() {
+    const stored = loadJSONFile(MODES_FILE, {});
+    const calendar = stored.calendar || parseModeCalendar(config.MODE_CALENDAR);
+    const error = validateModeCalendar(calendar);
+    if (error) log(`🗓️ Ignoring mode calendar: ${error}`, 'ERROR');
+
+    modeState = {
+        calendar: error ? [] : calendar,
+        settings: stored.settings || {},
+        override: stored.override || null
+    };
+    lastModeId = getCurrentMode().id;
+    log(`🗓️ Operating mode: ${MODE_LABELS[lastModeId]} (${getCurrentMode().source})`);
+}
+
+function saveModeState() {
+    saveJSONFile(MODES_FILE, modeState);
+}
+
+function getCalendarMode(now) {
+    const day = new Date(now + IST_OFFSET_MS).toISOString().slice(5, 10);
+    const range = modeState.calendar.find(({ from, to }) => (from <= to ? day >= from && day <= to : day >= from || day <= to));
+    return range ? range.mode : DEFAULT_MODE;
+}
+
+function getCurrentMode(now = Date.now()) {
+    const { override } = modeState;
+    if (override && (!override.until || new Date(override.until).getTime() > now)) {
+        return { id: override.mode, source: 'override', until: override.until, setBy: override.setBy, setAt: override.setAt };
+    }
+    return { id: getCalendarMode(now), source: 'calendar', until: null };
+}
+
+function getModeSettings(mode = getCurrentMode().id) {
+    const defaults = getDefaultModeSettings(mode);
+    const custom = modeState.settings[mode] || {};
+    return {
+        cadences: { ...defaults.cadences, ...custom.cadences },
+        thresholds: { ...defaults.thresholds, ...custom.thresholds },
+        notifications: custom.notifications !== undefined ? custom.notifications : defaults.notifications
+    };
+}
+
+// Every "is it raining" check uses the active mode's threshold, so the scheduler,
+// flood risk and the bot agree with the alert lifecycle
+function getRainingThreshold() {
+    return getModeSettings().thresholds.raining;
+}
+
+function notificationsMuted() {
+    return !getModeSettings().notifications;
+}
+
+function describeMode() {
+    const mode = getCurrentMode();
+    return { ...mode, label: MODE_LABELS[mode.id], calendarMode: getCalendarMode(Date.now()), ...getModeSettings(mode.id) };
+}
+
+// Replans every zone on the new cadences when the mode has changed since last time
+function checkModeChange() {
+    const mode = getCurrentMode();
+    if (mode.id === lastModeId) return;
+
+    log(`🗓️ Operating mode: ${MODE_LABELS[lastModeId] || lastModeId} → ${MODE_LABELS[mode.id]} (${mode.source})`);
+    lastModeId = mode.id;
+    broadcastEvent('mode', describeMode());
+
+    if (isMonitoringActive) {
+        const now = Date.now();
+        monitoredZones.forEach(zone => planZoneRun(zone, now));
+        scheduleNextRun();
+    }
+}
+
+// mode null clears the override and hands control back to the calendar
+function setModeOverride(mode, until, actor) {
+    if (mode !== null && !MODE_IDS.includes(mode)) return `mode must be one of: ${MODE_IDS.join(', ')}`;
+    if (until && new Date(until).getTime() <= Date.now()) return 'until must be in the future';
+
+    modeState.override = mode === null ? null : {
+        mode,
+        until: until ? new Date(until).toISOString() : null,
+        setBy: actor,
+        setAt: new Date().toISOString()
+    };
+    saveModeState();
+    checkModeChange();
+    return null;
+}
+
+// **ADAPTIVE SCHEDULER**
+// Each zone has its own next run. A zone that is raining is polled on the fast
+// cadence; one with a raining neighbour or rain in its forecast on the watch
+// cadence; everything else on the slow cadence. Jitter spreads the runs so zones
+// don't all hit the providers in the same second after a restart. The minutes for
+// each cadence come from the current operating mode.
+const SCHEDULE_CADENCES = {
+    fast: () => getModeSettings().cadences.fast,
+    watch: () => getModeSettings().cadences.watch,
+    slow: () => getModeSettings().cadences.slow
+};
+const SCHEDULER_MIN_DELAY_MS = 1000;
+
+let zoneSchedule = {};
+let schedulerTimer = null;
+
+function isZoneRaining(zoneName) {
+    const zoneState = zoneAlertStates[zoneName];
+    const weather = weatherData[zoneName];
+    return (zoneState && zoneState.state !== 'clear') ||
+        (weather && weather.realData && weather.rainfall >= getRainingThreshold());
+}
+
+function forecastShowsRain(zoneName, now) {
+    const forecast = zoneForecasts[zoneName];
+    if (!forecast) return false;
+    const latest = now + config.FORECAST_MAX_LEAD_HOURS * HOUR_MS;
+    return forecast.hours.some(hour => {
+        const time = new Date(hour.time).getTime();
+        return time >= now - HOUR_MS && time <= latest &&
+            hour.precipitation >= getRainingThreshold() &&
+            hour.probability >= config.FORECAST_MIN_PROBABILITY;
+    });
+}
+
+function chooseZoneCadence(zone, now) {
+    if (isZoneRaining(zone.name)) return { cadence: 'fast', reason: 'raining' };
+
+    const neighbour = monitoredZones.find(other => other !== zone &&
+        distanceKm(zone, other) <= config.SCHEDULE_NEIGHBOUR_KM && isZoneRaining(other.name));
+    if (neighbour) return { cadence: 'watch', reason: `raining in ${neighbour.name}` };
+
+    if (forecastShowsRain(zone.name, now)) return { cadence: 'watch', reason: 'rain forecast' };
+    return { cadence: 'slow', reason: 'clear' };
+}
+
+function withJitter(ms) {
+    return Math.round(ms * (1 + (Math.random() * 2 - 1) * config.SCHEDULE_JITTER));
+}
+
+function planZoneRun(zone, now = Date.now()) {
+    const { cadence, reason } = chooseZoneCadence(zone, now);
+    const previous = zoneSchedule[zone.name] || {};
+    zoneSchedule[zone.name] = {
+        cadence,
+        reason,
+        lastRunAt: previous.lastRunAt || null,
+        nextRunAt: new Date(now + withJitter(SCHEDULE_CADENCES[cadence]() * 60 * 1000)).toISOString()
+    };
+}
+
+function scheduleNextRun() {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+    if (!isMonitoringActive) return;
+
+    const now = Date.now();
+    let earliest = Infinity;
+    monitoredZones.forEach(zone => {
+        // New zones (and zones after a restart) are due straight away
+        if (!zoneSchedule[zone.name]) zoneSchedule[zone.name] = { cadence: null, reason: 'new', lastRunAt: null, nextRunAt: new Date(now).toISOString() };
+        earliest = Math.min(earliest, new Date(zoneSchedule[zone.name].nextRunAt).getTime());
+    });
+    if (earliest === Infinity) return;
+
+    schedulerTimer = setTimeout(runScheduledUpdates, Math.max(earliest - now, SCHEDULER_MIN_DELAY_MS));
+}
+
+async function runScheduledUpdates() {
+    schedulerTimer = null;
+    if (!isMonitoringActive) return;
+
+    checkModeChange();
+
+    const now = Date.now();
+    const due = monitoredZones.filter(zone => !zoneSchedule[zone.name] || new Date(zoneSchedule[zone.name].nextRunAt).getTime() <= now);
+    try {
+        if (due.length > 0) await updateZonesWeather(due);
+    } catch (error) {
+        log(`Scheduled update failed: ${error.message}`, 'ERROR');
+    }
+    markZonesRun(due);
+
+    // Rain elsewhere can pull a slow zone forward, so replan every zone that isn't
+    // already due sooner than its new cadence would put it
+    const planned = Date.now();
+    monitoredZones.forEach(zone => {
+        if (due.includes(zone)) return;
+        const entry = zoneSchedule[zone.name];
+        const { cadence } = chooseZoneCadence(zone, planned);
+        const limit = planned + SCHEDULE_CADENCES[cadence]() * 60 * 1000;
+        if (!entry || new Date(entry.nextRunAt).getTime() > limit) planZoneRun(zone, planned);
+    });
+    scheduleNextRun();
+}
+
+function markZonesRun(zones) {
+    const now = Date.now();
+    zones.forEach(zone => {
+        planZoneRun(zone, now);
+        zoneSchedule[zone.name].lastRunAt = new Date(now).toISOString();
+    });
+}
+
+function getScheduleSummary() {
+    return {
+        running: schedulerTimer !== null,
+        mode: getCurrentMode().id,
+        cadences: getModeSettings().cadences,
+        zones: monitoredZones.reduce((summary, zone) => {
+            summary[zone.name] = zoneSchedule[zone.name] || null;
+            return summary;
+        }, {})
+    };
+}
+
+// Monitoring on/off survives restarts
+function saveMonitoringState() {
+    saveJSONFile(MONITORING_STATE_FILE, { active: isMonitoringActive, changedAt: new Date().toISOString() });
+}
+
+function loadMonitoringState() {
+    return loadJSONFile(MONITORING_STATE_FILE, { active: false }).active === true;
+}
+
+// **FLOOD RISK**
+// Every zone gets a 0-100 score built from four parts: the current rate against the
+// zone's drainage capacity, the 3h and 24h totals, and rain falling upstream or next
+// door. The vulnerability metadata in zones.json then scales the score, so Sion or
+// Kurla reach a higher level than Colaba on the same rain. The metadata fields are
+// lowLying, waterloggingSpots, drainageCapacityMm and upstream zone ids.
+const FLOOD_RISK_WEIGHTS = {
+    intensity: 35,
+    accumulation3h: 20,
+    accumulation24h: 25,
+    upstream: 20
+};
+const FLOOD_RISK_LEVELS = [
+    { min: 75, level: 'severe', icon: '🔴' },
+    { min: 50, level: 'high', icon: '🟠' },
+    { min: 25, level: 'moderate', icon: '🟡' },
+    { min: 0, level: 'low', icon: '🟢' }
+];
+const LOW_LYING_FACTOR = 1.3;
+// Each known waterlogging spot adds 5%, counting at most four
+const WATERLOGGING_SPOT_FACTOR = 0.05;
+const MAX_COUNTED_SPOTS = 4;
+// Rain next door drains in more slowly than rain in a listed upstream zone
+const NEIGHBOUR_RAIN_WEIGHT = 0.5;
+
+function getZoneVulnerability(zone) {
+    const vulnerability = zone.vulnerability || {};
+    return {
+        lowLying: !!vulnerability.lowLying,
+        waterloggingSpots: vulnerability.waterloggingSpots || [],
+        drainageCapacityMm: vulnerability.drainageCapacityMm || config.FLOOD_DRAINAGE_CAPACITY_MM,
+        upstream: vulnerability.upstream || []
+    };
+}
+
+// Returns an error string, or null when the metadata is valid
+function validateVulnerability(vulnerability, zoneId) {
+    if (vulnerability === undefined || vulnerability === null) return null;
+    if (typeof vulnerability !== 'object' || Array.isArray(vulnerability)) return 'vulnerability must be an object';
+
+    const { lowLying, waterloggingSpots, drainageCapacityMm, upstream } = vulnerability;
+    if (lowLying !== undefined && typeof lowLying !== 'boolean') return 'vulnerability.lowLying must be true or false';
+    if (waterloggingSpots !== undefined && (!Array.isArray(waterloggingSpots) || !waterloggingSpots.every(spot => typeof spot === 'string'))) {
+        return 'vulnerability.waterloggingSpots must be an array of place names';
+    }
+    if (drainageCapacityMm !== undefined && !(typeof drainageCapacityMm === 'number' && drainageCapacityMm > 0)) {
+        return 'vulnerability.drainageCapacityMm must be a positive number';
+    }
+    if (upstream !== undefined) {
+        if (!Array.isArray(upstream)) return 'vulnerability.upstream must be an array of zone ids';
+        const unknown = upstream.filter(id => id === zoneId || !monitoredZones.some(z => z.id === id));
+        if (unknown.length > 0) return `Unknown or self-referencing upstream zone(s): ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+// The upstream or neighbouring zone whose rain weighs most on this one
+function findUpstreamRain(zone, vulnerability) {
+    return monitoredZones
+        .filter(other => other !== zone)
+        .map(other => {
+            const data = weatherData[other.name];
+            const upstream = vulnerability.upstream.includes(other.id);
+            const neighbour = zone.lat !== null && other.lat !== null && distanceKm(zone, other) <= config.SCHEDULE_NEIGHBOUR_KM;
+            if (!data || !data.realData || data.rainfall < getRainingThreshold() || (!upstream && !neighbour)) return null;
+            return { zone: other.name, rainfall: data.rainfall, upstream, weighted: data.rainfall * (upstream ? 1 : NEIGHBOUR_RAIN_WEIGHT) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.weighted - a.weighted)[0] || null;
+}
+
+function assessZoneFloodRisk(zone) {
+    const data = weatherData[zone.name];
+    if (!data || !data.realData) return null;
+
+    const vulnerability = getZoneVulnerability(zone);
+    const accumulation = data.accumulation || {};
+    const totalFor = window => (accumulation[window] && accumulation[window].mm) || 0;
+    const drainageLoad = data.rainfall / vulnerability.drainageCapacityMm;
+    const upstreamRain = findUpstreamRain(zone, vulnerability);
+    const reasons = [];
+
+    const parts = {
+        intensity: Math.min(1, drainageLoad),
+        accumulation3h: Math.min(1, totalFor('3h') / config.FLOOD_RISK_3H_MM),
+        accumulation24h: Math.min(1, totalFor('24h') / config.ALERT_VERY_HEAVY_24H_MM),
+        upstream: upstreamRain ? Math.min(1, upstreamRain.weighted / vulnerability.drainageCapacityMm) : 0
+    };
+
+    // Reasons are kept as message keys so each language can word them
+    if (data.rainfall >= getRainingThreshold()) {
+        reasons.push({ key: 'drainage', params: { rate: data.rainfall.toFixed(1), percent: Math.round(drainageLoad * 100), capacity: vulnerability.drainageCapacityMm } });
+    }
+    if (parts.accumulation3h >= 0.25) reasons.push({ key: 'total3h', params: { mm: totalFor('3h') } });
+    if (parts.accumulation24h >= 0.25) reasons.push({ key: 'total24h', params: { mm: totalFor('24h'), category: accumulation['24h'].category } });
+    if (upstreamRain) {
+        reasons.push({ key: upstreamRain.upstream ? 'upstream' : 'neighbour', params: { zone: upstreamRain.zone, rate: upstreamRain.rainfall.toFixed(1) } });
+    }
+
+    const base = Object.entries(FLOOD_RISK_WEIGHTS).reduce((sum, [part, weight]) => sum + parts[part] * weight, 0);
+    let factor = 1;
+    // Vulnerability only amplifies rain that is already there
+    if (base > 0 && vulnerability.lowLying) {
+        factor *= LOW_LYING_FACTOR;
+        reasons.push({ key: 'lowLying', params: {} });
+    }
+    if (base > 0 && vulnerability.waterloggingSpots.length > 0) {
+        factor *= 1 + Math.min(vulnerability.waterloggingSpots.length, MAX_COUNTED_SPOTS) * WATERLOGGING_SPOT_FACTOR;
+        reasons.push({ key: 'waterloggingSpots', params: { spots: vulnerability.waterloggingSpots.join(', ') } });
+    }
+    const highTide = getActiveHighTide();
+    if (base > 0 && highTide) {
+        factor *= HIGH_TIDE_FACTOR;
+        reasons.push({ key: 'highTide', params: { tide: highTide } });
+    }
+
+    const score = Math.min(100, Math.round(base * factor));
+    const { level, icon } = FLOOD_RISK_LEVELS.find(l => score >= l.min);
+    return {
+        score,
+        level,
+        icon,
+        label: formatFloodRiskLevel(level),
+        reasons: reasons.map(reason => formatFloodRiskReason(reason)),
+        reasonKeys: reasons,
+        parts: Object.fromEntries(Object.entries(parts).map(([part, value]) => [part, roundTo(value * FLOOD_RISK_WEIGHTS[part], 1)])),
+        factor: roundTo(factor, 2),
+        assessedAt: new Date().toISOString()
+    };
+}
+
+// Neighbours affect each other, so every zone is re-scored once a cycle's readings are in
+function updateFloodRisk() {
+    const risks = {};
+    monitoredZones.forEach(zone => {
+        const data = weatherData[zone.name];
+        if (!data) return;
+        data.floodRisk = assessZoneFloodRisk(zone);
+        risks[zone.name] = data.floodRisk;
+    });
+    broadcastEvent('flood-risk', risks);
+}
+
+function formatFloodRiskLevel(level, language = 'en') {
+    const { icon } = FLOOD_RISK_LEVELS.find(l => l.level === level);
+    return `${icon} ${translate(resolveLanguage(language), `floodRisk.levels.${level}`)}`;
+}
+
+function formatFloodRiskReason({ key, params }, language = 'en') {
+    const t = translator(language);
+    return t(`floodRisk.reasons.${key}`, {
+        ...params,
+        zone: params.zone && t.zone(params.zone),
+        category: params.category && t.imd(params.category),
+        tide: params.tide && formatTide(params.tide, language)
+    });
+}
+
+// One line for messages: the worst level and the zones at moderate risk or above
+function summariseFloodRisk(zoneNames = null, language = 'en', data = weatherData) {
+    const t = translator(language);
+    const atRisk = Object.values(data)
+        .filter(data => data.floodRisk && data.floodRisk.level !== 'low' && (!zoneNames || zoneNames.includes(data.zone)))
+        .sort((a, b) => b.floodRisk.score - a.floodRisk.score);
+
+    if (atRisk.length === 0) return `${formatFloodRiskLevel('low', language)} - ${t('floodRisk.noneAboveLow')}`;
+    return `${formatFloodRiskLevel(atRisk[0].floodRisk.level, language)} - ${atRisk.slice(0, 5).map(data => `${t.zone(data.zone)} (${data.floodRisk.score})`).join(', ')}`;
+}
+
+function formatZoneFloodRisk(risk, language = 'en') {
+    if (!risk) return translate(resolveLanguage(language), 'notAvailable');
+    // Risks scored before reasons became message keys only have the English text
+    const reasons = risk.reasonKeys ? risk.reasonKeys.map(reason => formatFloodRiskReason(reason, language)) : risk.reasons;
+    return `${formatFloodRiskLevel(risk.level, language)} (${risk.score}/100)${reasons.length > 0 ? ` - ${reasons.slice(0, 3).join('; ')}` : ''}`;
+}
+
+// **TIDE TABLE**
+// Predicted high and low tides are imported from a CSV or JSON tide table. When heavy
+// rain falls within TIDE_WINDOW_HOURS of a high tide of TIDE_HIGH_METRES or more,
+// the outfalls are shut and the water has nowhere to go. Such a tide escalates rain
+// alerts and raises flood risk. Times without an offset are read as IST, the way
+// published tide tables print them.
+const HIGH_TIDE_FACTOR = 1.25;
+
+function parseTideTime(value) {
+    const text = String(value || '').trim();
+    const local = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    const date = local
+        ? new Date(`${local[1]}T${local[2].padStart(2, '0')}:${local[3]}:${local[4] || '00'}+05:30`)
+        : new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Header row required: time,type,height or date,time,type,height
+function parseTideCSV(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines.shift().split(',').map(name => name.trim().toLowerCase());
+    return lines.map(line => {
+        const cells = line.split(',').map(cell => cell.trim());
+        const row = {};
+        header.forEach((name, i) => { row[name] = cells[i]; });
+        return { time: row.date ? `${row.date} ${row.time}` : row.time, type: row.type, height: row.height };
+    });
+}
+
+// Returns { tides, errors } with tides sorted by time and one entry per time
+function normaliseTides(entries) {
+    const errors = [];
+    const byTime = new Map();
+
+    entries.forEach((entry, i) => {
+        const time = parseTideTime(entry.time);
+        const type = /^h/i.test(entry.type || '') ? 'high' : /^l/i.test(entry.type || '') ? 'low' : null;
+        const height = toNumber(entry.height);
+        if (!time) return errors.push(`row ${i + 1}: unreadable time "${entry.time}"`);
+        if (!type) return errors.push(`row ${i + 1}: type must be high or low`);
+        if (height === null) return errors.push(`row ${i + 1}: height must be a number of metres`);
+        byTime.set(time.getTime(), { time: time.toISOString(), type, height: roundTo(height, 2) });
+    });
+
+    return { tides: Array.from(byTime.values()).sort((a, b) => a.time.localeCompare(b.time)), errors };
+}
+
+function importTideTable(entries, source) {
+    const { tides, errors } = normaliseTides(entries);
+    if (errors.length > 0) return { errors };
+
+    tideTable = tides;
+    saveJSONFile(TIDES_FILE, tideTable);
+    log(`🌊 Imported ${tideTable.length} tides from ${source}`);
+    return { tides: tideTable };
+}
+
+// TIDE_TABLE_FILE, when set, replaces the stored table on every start
+function loadTideTable() {
+    tideTable = loadJSONFile(TIDES_FILE, []);
+
+    if (config.TIDE_TABLE_FILE) {
+        try {
+            const text = fs.readFileSync(config.TIDE_TABLE_FILE, 'utf8');
+            const entries = /\.json$/i.test(config.TIDE_TABLE_FILE) ? JSON.parse(text) : parseTideCSV(text);
+            const result = importTideTable(Array.isArray(entries) ? entries : entries.tides || [], config.TIDE_TABLE_FILE);
+            if (result.errors) log(`🌊 Tide table ${config.TIDE_TABLE_FILE} rejected: ${result.errors.slice(0, 3).join('; ')}`, 'ERROR');
+        } catch (error) {
+            log(`🌊 Could not read tide table ${config.TIDE_TABLE_FILE}: ${error.message}`, 'ERROR');
+        }
+    }
+
+    const last = tideTable[tideTable.length - 1];
+    if (!last) log('🌊 No tide table loaded - high-tide escalation is off');
+    else if (new Date(last.time).getTime() < Date.now()) log(`🌊 Tide table ended at ${last.time} - import a new one`, 'WARNING');
+    else log(`💾 Loaded ${tideTable.length} tides (until ${last.time})`);
+}
+
+function isSignificantHighTide(tide) {
+    return tide.type === 'high' && tide.height >= config.TIDE_HIGH_METRES;
+}
+
+// The highest significant high tide whose window covers `now`, or null
+function getActiveHighTide(now = Date.now()) {
+    const windowMs = config.TIDE_WINDOW_HOURS * HOUR_MS;
+    return tideTable
+        .filter(tide => isSignificantHighTide(tide) && Math.abs(new Date(tide.time).getTime() - now) <= windowMs)
+        .sort((a, b) => b.height - a.height)[0] || null;
+}
+
+function getUpcomingTides(hours = 24, now = Date.now()) {
+    return tideTable
+        .filter(tide => {
+            const time = new Date(tide.time).getTime();
+            return time >= now && time <= now + hours * HOUR_MS;
+        })
+        .map(tide => ({ ...tide, significant: isSignificantHighTide(tide) }));
+}
+
+function formatTide(tide, language = 'en') {
+    const t = translator(language);
+    return t(`tide.${tide.type}`, {
+        height: tide.height.toFixed(2),
+        time: t.date(tide.time, { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })
+    });
+}
+
+function getTideSummary(now = Date.now()) {
+    const last = tideTable[tideTable.length - 1];
+    return {
+        highTideMetres: config.TIDE_HIGH_METRES,
+        windowHours: config.TIDE_WINDOW_HOURS,
+        activeHighTide: getActiveHighTide(now),
+        upcoming: getUpcomingTides(24, now),
+        tableEndsAt: last ? last.time : null
+    };
+}
+
+// **PER-ZONE ALERT LIFECYCLE**
+// clear → raining → heavy → very_heavy → subsiding → clear (all-clear).
+// Levels are entered at their threshold and only left once rainfall drops
+// ALERT_HYSTERESIS_MM below it, so readings hovering on a boundary don't flap.
+const RAIN_LEVELS = ['clear', 'raining', 'heavy', 'very_heavy'];
+// English labels for the API
+const ALERT_STATE_LABELS = catalogues.en.alertState;
+const NOTIFYING_TRANSITIONS = ['onset', 'escalation', 'resumed', 'high-tide', 'all-clear'];
+const MAX_ZONE_TRANSITIONS = 20;
+
+function getRainLevelThresholds() {
+    const { thresholds } = getModeSettings();
+    return [0, thresholds.raining, thresholds.heavy, thresholds.veryHeavy];
+}
+
+function classifyRainLevel(rainfall, currentLevel, accumulation) {
+    const thresholds = getRainLevelThresholds();
+    let level = 0;
+    for (let i = 1; i < thresholds.length; i++) {
+        if (rainfall >= thresholds[i]) level = i;
+    }
+
+    // Hysteresis: hold the current level until rain is clearly below its threshold
+    if (currentLevel > level && rainfall >= thresholds[currentLevel] - config.ALERT_HYSTERESIS_MM) {
+        level = currentLevel;
+    }
+
+    // While it is still raining, a large 24h total escalates even moderate rates
+    if (level > 0 && accumulation) {
+        const total24h = accumulation['24h'].mm;
+        if (config.ALERT_VERY_HEAVY_24H_MM && total24h >= config.ALERT_VERY_HEAVY_24H_MM) level = Math.max(level, 3);
+        else if (config.ALERT_HEAVY_24H_MM && total24h >= config.ALERT_HEAVY_24H_MM) level = Math.max(level, 2);
+    }
+    return level;
+}
+
+function getZoneAlertState(zoneName) {
+    if (!zoneAlertStates[zoneName]) {
+        zoneAlertStates[zoneName] = {
+            state: 'clear',
+            since: new Date().toISOString(),
+            rainfall: 0,
+            peakRainfall: 0,
+            lastNotifiedAt: null,
+            lastNotifiedLevel: 0,
+            transitions: []
+        };
+    }
+    return zoneAlertStates[zoneName];
+}
+
+function decideTransition(zoneState, zone, now) {
+    const currentLevel = RAIN_LEVELS.indexOf(zoneState.state);
+    const newLevel = classifyRainLevel(zone.rainfall, Math.max(currentLevel, 0), zone.accumulation);
+
+    if (zoneState.state === 'clear') {
+        return newLevel > 0 ? { type: 'onset', to: RAIN_LEVELS[newLevel] } : null;
+    }
+
+    if (zoneState.state === 'subsiding') {
+        if (newLevel > 0) return { type: 'resumed', to: RAIN_LEVELS[newLevel] };
+        const subsidingMinutes = (now - new Date(zoneState.since).getTime()) / 60000;
+        return subsidingMinutes >= config.ALERT_ALL_CLEAR_MINUTES ? { type: 'all-clear', to: 'clear' } : null;
+    }
+
+    if (newLevel > currentLevel) return { type: 'escalation', to: RAIN_LEVELS[newLevel] };
+    if (newLevel === 0) return { type: 'subsiding', to: 'subsiding' };
+    if (newLevel < currentLevel) return { type: 'de-escalation', to: RAIN_LEVELS[newLevel] };
+    return null;
+}
+
+function shouldNotifyTransition(zoneState, transition, now) {
+    if (!NOTIFYING_TRANSITIONS.includes(transition.type)) return { notify: false, reason: 'not a notifying transition' };
+    if (notificationsMuted()) return { notify: false, reason: `muted (${getCurrentMode().id} mode)` };
+
+    if (transition.type === 'all-clear') {
+        return zoneState.lastNotifiedLevel > 0
+            ? { notify: true }
+            : { notify: false, reason: 'no rain alert was sent for this event' };
+    }
+
+    // Heavy rain meeting a high tide goes out once per tide, cooldown or not
+    if (transition.highTide && zoneState.highTideAlerted !== transition.highTide.time) return { notify: true };
+
+    // Escalating beyond what we last told people always goes out; anything else waits for the cooldown
+    const level = RAIN_LEVELS.indexOf(transition.to);
+    if (level > zoneState.lastNotifiedLevel) return { notify: true };
+
+    const sinceLast = zoneState.lastNotifiedAt ? (now - new Date(zoneState.lastNotifiedAt).getTime()) / 60000 : Infinity;
+    return sinceLast >= config.ALERT_COOLDOWN_MINUTES
+        ? { notify: true }
+        : { notify: false, reason: `cooldown (${Math.round(sinceLast)}/${config.ALERT_COOLDOWN_MINUTES} min)` };
+}
+
+// One line describing an alert record. `alert.message` keeps the English line; the
+// bot and the dashboard render the record again in their own language.
+function formatAlertMessage(alert, language = 'en') {
+    if (alert.type === 'forecast') return formatForecastWarning(alert, language);
+
+    const t = translator(language);
+    const label = t(`transition.${alert.type}`);
+    if (alert.type === 'all-clear') {
+        // Records from before the peak was stored only have the English line
+        if (typeof alert.peakRainfall !== 'number') return alert.message;
+        return t('alertMessage.allClear', { label, zone: t.zone(alert.zone), peak: alert.peakRainfall.toFixed(1) });
+    }
+    return t('alertMessage.transition', {
+        label,
+        zone: t.zone(alert.zone),
+        state: t(`alertState.${alert.to}`),
+        rate: alert.rainfall.toFixed(1),
+        intensity: t.intensity(alert.intensity),
+        tide: alert.highTide ? t('alertMessage.tide', { tide: formatTide(alert.highTide, language) }) : '',
+        sources: alert.sources
+    });
+}
+
+// Alerts as the API and the live stream send them, with the line in every language
+function describeAlert(alert) {
+    return { ...alert, messages: Object.fromEntries(LANGUAGES.map(language => [language, formatAlertMessage(alert, language)])) };
+}
+
+async function processRainAlerts() {
+    const now = Date.now();
+    const transitions = [];
+
+    for (const zone of Object.values(weatherData)) {
+        if (!zone.realData) continue;
+
+        const zoneState = getZoneAlertState(zone.zone);
+        zoneState.rainfall = zone.rainfall;
+        if (zoneState.state !== 'clear') {
+            zoneState.peakRainfall = Math.max(zoneState.peakRainfall, zone.rainfall);
+        }
+
+        let transition = decideTransition(zoneState, zone, now);
+        // Heavy rain that has already been alerted on gets one more alert when a high tide arrives
+        const highTide = getActiveHighTide(now);
+        if (!transition && highTide && RAIN_LEVELS.indexOf(zoneState.state) >= 2 && zoneState.highTideAlerted !== highTide.time) {
+            transition = { type: 'high-tide', to: zoneState.state };
+        }
+        if (!transition) continue;
+
+        transition.from = zoneState.state;
+        transition.highTide = highTide && RAIN_LEVELS.indexOf(transition.to) >= 2 ? highTide : null;
+        transition.peakRainfall = Math.max(zoneState.peakRainfall, zone.rainfall);
+        const decision = shouldNotifyTransition(zoneState, transition, now);
+
+        const alert = {
+            id: Date.now() + Math.random(),
+            timestamp: new Date(now).toISOString(),
+            zone: zone.zone,
+            type: transition.type,
+            from: transition.from,
+            to: transition.to,
+            rainfall: zone.rainfall,
+            intensity: zone.intensity,
+            accumulation: zone.accumulation || null,
+            highTide: transition.highTide,
+            peakRainfall: transition.peakRainfall,
+            confidence: zone.confidence,
+            sources: zone.sources,
+            notified: decision.notify,
+            suppressedReason: decision.reason || null
+        };
+        alert.message = formatAlertMessage(alert);
+
+        zoneState.transitions.unshift({
+            at: alert.timestamp,
+            type: transition.type,
+            from: transition.from,
+            to: transition.to,
+            rainfall: zone.rainfall,
+            notified: decision.notify,
+            suppressedReason: alert.suppressedReason
+        });
+        zoneState.transitions = zoneState.transitions.slice(0, MAX_ZONE_TRANSITIONS);
+        if (transition.to !== transition.from) zoneState.since = alert.timestamp;
+        zoneState.state = transition.to;
+        if (transition.type === 'onset') zoneState.peakRainfall = zone.rainfall;
+
+        if (decision.notify) {
+            zoneState.lastNotifiedAt = alert.timestamp;
+            zoneState.lastNotifiedLevel = transition.type === 'all-clear' ? 0 : RAIN_LEVELS.indexOf(transition.to);
+            if (transition.highTide) zoneState.highTideAlerted = transition.highTide.time;
+            transitions.push({ ...transition, alert, weather: zone });
+        }
+
+        alertHistory.unshift(alert);
+        await recordAlert(alert);
+        broadcastEvent('alert', describeAlert(alert));
+        log(`🚨 ${zone.zone}: ${transition.from} → ${transition.to} (${transition.type})${decision.notify ? '' : ` - not notified: ${decision.reason}`}`);
+    }
+
+    alertHistory = alertHistory.slice(0, ALERT_HISTORY_SIZE);
+    saveJSONFile(ALERT_STATE_FILE, zoneAlertStates);
+
+    if (transitions.length > 0) {
+        await sendRainNotifications(transitions);
+    } else if (!Object.values(zoneAlertStates).some(z => z.state !== 'clear')) {
+        log('☀️ Weather validation confirms: NO RAIN detected - All zones clear');
+    }
+}
+
+function loadAlertStates() {
+    zoneAlertStates = loadJSONFile(ALERT_STATE_FILE, {});
+    const active = Object.entries(zoneAlertStates).filter(([, z]) => z.state !== 'clear');
+    log(`💾 Loaded alert state for ${Object.keys(zoneAlertStates).length} zones (${active.length} not clear)`);
+}
+
+// Template fields for one zone reading; numbers are already formatted for display
+function buildZoneTemplateContext(data, language = 'en') {
+    const t = translator(language);
+    const { accumulation, floodRisk } = data;
+    return {
+        name: t.zone(data.zone),
+        zone: data.zone,
+        rainfall: typeof data.rainfall === 'number' ? data.rainfall.toFixed(1) : null,
+        rainfallPrecise: typeof data.rainfall === 'number' ? data.rainfall.toFixed(2) : null,
+        intensity: data.intensity ? t.intensity(data.intensity) : null,
+        temperature: data.temperature,
+        humidity: data.humidity,
+        description: data.description,
+        sources: data.sources,
+        accumulation: accumulation ? {
+            '1h': accumulation['1h'].mm,
+            '3h': accumulation['3h'].mm,
+            '6h': accumulation['6h'].mm,
+            '24h': accumulation['24h'].mm,
+            since0830: accumulation.since0830.mm,
+            category24h: t.imd(accumulation['24h'].category),
+            categorySince0830: t.imd(accumulation.since0830.category)
+        } : null,
+        floodRisk: floodRisk ? { score: floodRisk.score, level: floodRisk.level, label: formatFloodRiskLevel(floodRisk.level, language) } : null,
+        summary: {
+            accumulation: formatAccumulation(accumulation, language),
+            floodRisk: formatZoneFloodRisk(floodRisk, language),
+            temperature: formatTemperature(data.temperature, language),
+            humidity: formatHumidity(data.humidity, language),
+            fusion: formatFusionSummary(data, language)
+        }
+    };
+}
+
+// Everything the rain-alert templates can show. `data` is the weatherData the clear
+// zones and flood-risk summary are read from, so previews can pass sample readings.
+function buildRainAlertContext(transitions, now, zoneNames = null, language = 'en', data = weatherData) {
+    const t = translator(language);
+    const rainTransitions = transitions.filter(tr => tr.type !== 'all-clear');
+    const clearedTransitions = transitions.filter(tr => tr.type === 'all-clear');
+
+    return {
+        t: getCatalogue(language),
+        language: t.language,
+        timestamp: t.date(now),
+        dashboardUrl: DASHBOARD_URL,
+        dashboardLink: t('dashboardLink', { url: DASHBOARD_URL }),
+        rain: rainTransitions.map(tr => {
+            const zone = buildZoneTemplateContext(tr.weather, language);
+            const label = t(`transition.${tr.type}`);
+            const to = t(`alertState.${tr.to}`);
+            const highTide = tr.highTide ? formatTide(tr.highTide, language) : null;
+            return {
+                type: tr.type,
+                label,
+                from: t(`alertState.${tr.from}`),
+                to,
+                highTide,
+                zone,
+                lines: {
+                    headline: t('rainAlert.zoneLine', { label, zone: zone.name, rate: zone.rainfall, state: to }),
+                    floodRisk: t('rainAlert.floodRisk', { risk: zone.summary.floodRisk }),
+                    highTide: highTide && t('rainAlert.highTide', { tide: highTide }),
+                    fusion: t('rainAlert.fusion', { summary: zone.summary.fusion }),
+                    sources: t('rainAlert.sources', { sources: zone.sources })
+                }
+            };
+        }),
+        cleared: clearedTransitions.map(tr => {
+            const zone = buildZoneTemplateContext(tr.weather, language);
+            const peakRainfall = tr.peakRainfall.toFixed(1);
+            return {
+                zone,
+                peakRainfall,
+                lines: {
+                    stopped: t('rainAlert.stopped', {
+                        zone: zone.name,
+                        peak: peakRainfall,
+                        since: zone.accumulation ? t('rainAlert.stoppedSince', { mm: zone.accumulation.since0830 }) : ''
+                    }),
+                    report: t('report.stopped', { peak: peakRainfall })
+                }
+            };
+        }),
+        tides: getUpcomingTides(config.TIDE_WINDOW_HOURS * 3).map(tide => ({ text: formatTide(tide, language), significant: !!tide.significant })),
+        clearZones: Object.values(data).filter(zone => zone.realData && zone.rainfall < getRainingThreshold()).map(zone => ({
+            ...buildZoneTemplateContext(zone, language),
+            line: t('report.clearLine', { temperature: formatTemperature(zone.temperature, language), sources: zone.sources })
+        })),
+        lines: {
+            generated: t('report.generated', { time: t.date(now) }),
+            rainZones: t('report.rainZones', { count: rainTransitions.length }),
+            allClear: t('report.allClear', { count: clearedTransitions.length }),
+            floodRiskSummary: t('rainAlert.floodRiskSummary', { summary: summariseFloodRisk(zoneNames, language, data) }),
+            tides: formatUpcomingTides(language).trim()
+        }
+    };
+}
+
+function buildRainAlertMessage(transitions, now, zoneNames = null, language = 'en') {
+    return renderNamedTemplate('rain-alert-text', buildRainAlertContext(transitions, now, zoneNames, language));
+}
+
+function buildRainAlertSubject(transitions, language = 'en') {
+    const t = translator(language);
+    const rainTransitions = transitions.filter(tr => tr.type !== 'all-clear');
+    const tide = transitions.some(tr => tr.highTide) ? t('rainAlert.subjectTide') : '';
+    return rainTransitions.length > 0
+        ? t('rainAlert.subject', { tide, count: rainTransitions.length })
+        : t('rainAlert.subjectAllClear', { zones: transitions.map(tr => t.zone(tr.weather.zone)).join(', ') });
+}
+
+// A single line for SMS-sized channels
+function buildRainAlertShortText(transitions, language = 'en') {
+    const t = translator(language);
+    const rain = transitions.filter(tr => tr.type !== 'all-clear').map(tr => t('rainAlert.shortZone', {
+        zone: t.zone(tr.weather.zone),
+        rate: tr.weather.rainfall.toFixed(1),
+        intensity: t.intensity(tr.weather.intensity),
+        risk: tr.weather.floodRisk ? t('rainAlert.shortRisk', { level: t(`floodRisk.levels.${tr.weather.floodRisk.level}`) }) : ''
+    }));
+    const cleared = transitions.filter(tr => tr.type === 'all-clear').map(tr => t.zone(tr.weather.zone));
+    const tide = transitions.find(tr => tr.highTide);
+
+    return [
+        rain.length > 0 ? t('rainAlert.short', { zones: rain.join('; ') }) : null,
+        tide ? t('rainAlert.shortTide', { tide: formatTide(tide.highTide, language) }) : null,
+        cleared.length > 0 ? t('rainAlert.shortAllClear', { zones: cleared.join(', ') }) : null
+    ].filter(Boolean).join('. ');
+}
+
+// Tides over the next TIDE_WINDOW_HOURS * 3, so the next high tide is usually listed
+function formatUpcomingTides(language = 'en') {
+    const tides = getUpcomingTides(config.TIDE_WINDOW_HOURS * 3);
+    if (tides.length === 0) return '';
+    return `${translate(resolveLanguage(language), 'tide.upcoming', {
+        tides: tides.map(tide => `${tide.significant ? '⚠️ ' : ''}${formatTide(tide, language)}`).join(' | ')
+    })}
+`;
+}
+
+// Each subscriber gets one message covering only the zones and intensities they asked for,
+// written in the language of each of their channels
+async function sendRainNotifications(transitions) {
+    const now = new Date();
+
+    for (const subscriber of getAllSubscribers().filter(s => s.active)) {
+        const relevant = filterTransitionsForSubscriber(subscriber, transitions);
+        if (relevant.length === 0) continue;
+
+        const zoneNames = subscriber.zones.length > 0 ? subscriber.zones : null;
+        const alerts = relevant.map(tr => ({ ...tr.alert, floodRisk: tr.weather.floodRisk || null }));
+
+        log(`📣 Notifying ${subscriber.name} about ${relevant.length} zone change(s)`);
+        await sendToSubscriber(subscriber, language => ({
+            kind: 'rain-alert',
+            subject: buildRainAlertSubject(relevant, language),
+            text: buildRainAlertMessage(relevant, now, zoneNames, language),
+            html: generateVerifiedHTMLReport(relevant, now, zoneNames, language),
+            shortText: buildRainAlertShortText(relevant, language),
+            data: { alerts }
+        }));
+    }
+}
+
+function generateVerifiedHTMLReport(transitions, now, zoneNames = null, language = 'en') {
+    return renderNamedTemplate('rain-alert-html', buildRainAlertContext(transitions, now, zoneNames, language));
+}
+
+// Horizontal bars, one per label. Values are escaped and the SVG is inlined in the
+// email, so no image hosting is needed.
+function renderBarChartSVG(bars, { unit = 'mm', color = '#007bff' } = {}) {
+    const rowHeight = 24;
+    const labelWidth = 150;
+    const barWidth = 360;
+    const height = Math.max(1, bars.length) * rowHeight + 10;
+    const max = Math.max(...bars.map(bar => bar.value || 0), 0.1);
+
+    const rows = bars.map((bar, i) => {
+        const y = 5 + i * rowHeight;
+        const width = Math.round((bar.value || 0) / max * barWidth);
+        const value = bar.value === null ? 'no data' : `${bar.value.toFixed(1)}${unit}`;
+        return `<text x="${labelWidth - 8}" y="${y + 16}" text-anchor="end" font-size="12" fill="#333">${escapeHtml(bar.label)}</text>
+            <rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 8}" rx="3" fill="${color}"></rect>
+            <text x="${labelWidth + width + 6}" y="${y + 16}" font-size="12" fill="#555">${value}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + barWidth + 80}" height="${height}" role="img">${rows}</svg>`;
+}
+
+// Vertical columns over time, labelled underneath
+function renderColumnChartSVG(columns, { unit = 'mm', color = '#17a2b8' } = {}) {
+    const columnWidth = Math.max(12, Math.floor(560 / Math.max(1, columns.length)));
+    const chartHeight = 140;
+    const max = Math.max(...columns.map(column => column.value), 0.1);
+
+    const bars = columns.map((column, i) => {
+        const x = 30 + i * columnWidth;
+        const height = Math.round(column.value / max * chartHeight);
+        return `<rect x="${x + 2}" y="${10 + chartHeight - height}" width="${columnWidth - 4}" height="${height}" rx="2" fill="${color}"><title>${escapeHtml(column.label)}: ${column.value.toFixed(1)}${unit}</title></rect>
+            <text x="${x + columnWidth / 2}" y="${chartHeight + 26}" text-anchor="middle" font-size="10" fill="#555">${escapeHtml(column.label)}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${60 + columns.length * columnWidth}" height="${chartHeight + 40}" role="img">
+        <text x="0" y="18" font-size="10" fill="#555">${max.toFixed(1)}${unit}</text>
+        <line x1="30" y1="${10 + chartHeight}" x2="${30 + columns.length * columnWidth}" y2="${10 + chartHeight}" stroke="#ccc"></line>
+        ${bars}</svg>`;
+}
+
+// Everything the digest templates can show, from a summarizeDigest() result
+function buildDigestContext(summary, language = 'en') {
+    const t = translator(language);
+    const periodKey = summary.period === 'daily' ? 'total24h' : 'total7d';
+    const formatTotal = mm => mm === null ? t('digest.noData') : `${mm.toFixed(1)}mm`;
+    const period = t(`digest.periods.${summary.period}`);
+    const alertCount = summary.alerts.rain + summary.alerts.forecast;
+    const wettest = summary.wettest.map(zone => ({ name: t.zone(zone.zone), zone: zone.zone, total: formatTotal(zone[periodKey]) }));
+    const peak = summary.peak && {
+        name: t.zone(summary.peak.zone),
+        zone: summary.peak.zone,
+        rainfall: summary.peak.rainfall.toFixed(1),
+        intensity: t.intensity(summary.peak.intensity),
+        at: t.date(summary.peak.at)
+    };
+
+    return {
+        t: getCatalogue(language),
+        language: t.language,
+        period,
+        from: t.date(summary.from),
+        to: t.date(summary.to),
+        dashboardUrl: DASHBOARD_URL,
+        dashboardLink: t('dashboardLink', { url: DASHBOARD_URL }),
+        wettest,
+        wettestZone: wettest[0] || null,
+        peak,
+        alerts: { ...summary.alerts, total: alertCount },
+        zones: summary.zones.map(zone => ({
+            name: t.zone(zone.zone),
+            zone: zone.zone,
+            total24h: formatTotal(zone.total24h),
+            total7d: formatTotal(zone.total7d),
+            peak: zone.peak ? t('digest.peakAt', { rate: zone.peak.rainfall.toFixed(1), time: t.date(zone.peak.at) }) : '-',
+            alerts: zone.alerts.rain + zone.alerts.forecast
+        })),
+        charts: {
+            byZone: trustedHtml(renderBarChartSVG(summary.zones.map(zone => ({ label: t.zone(zone.zone), value: zone[periodKey] })))),
+            series: trustedHtml(renderColumnChartSVG(summary.series))
+        },
+        lines: {
+            title: t('digest.title', { period: period.toUpperCase() }),
+            htmlTitle: t('digest.htmlTitle', { period }),
+            peak: peak && t('digest.peak', { rate: peak.rainfall, intensity: peak.intensity, zone: peak.name, time: peak.at }),
+            alerts: t('digest.alerts', { count: alertCount, rain: summary.alerts.rain, forecast: summary.alerts.forecast, allClear: summary.alerts.allClear }),
+            alertsBreakdown: t('digest.alertsBreakdown', { rain: summary.alerts.rain, forecast: summary.alerts.forecast }),
+            byZone: t('digest.byZone', { window: t(summary.period === 'daily' ? 'digest.window24h' : 'digest.window7d') }),
+            series: t(summary.period === 'daily' ? 'digest.byHour' : 'digest.byDay')
+        }
+    };
+}
+
+function generateDigestHTMLReport(summary, language = 'en') {
+    return renderNamedTemplate('digest-html', buildDigestContext(summary, language));
+}
+
+// **DIGEST REPORTS**
+// A daily digest goes out at DIGEST_TIME IST (08:30 by default, so it covers the IMD
+// rainfall day that just ended) and a weekly one on DIGEST_WEEKLY_DAY at the same
+// time. Totals are integrated from the history store, and each subscriber's copy
+// only covers their own zones. Sent slots are saved so a restart never repeats one.
+const DIGEST_PERIODS = {
+    daily: { label: 'Daily', days: 1, bucketMs: HOUR_MS },
+    weekly: { label: 'Weekly', days: 7, bucketMs: DAY_MS }
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+// A slot missed while the server was down is still sent if it is this recent
+const DIGEST_CATCHUP_HOURS = 6;
+
+let digestState = {};
+let digestTimer = null;
+
+function getDigestTime() {
+    const match = config.DIGEST_TIME.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return null;
+    return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+}
+
+// The latest slot at or before `now`, in epoch ms
+function getLastDigestSlot(period, now) {
+    const { hours, minutes } = getDigestTime();
+    const ist = new Date(now + IST_OFFSET_MS);
+    let slot = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), hours, minutes) - IST_OFFSET_MS;
+    if (slot > now) slot -= DAY_MS;
+
+    if (period === 'weekly') {
+        const weekday = WEEKDAYS.indexOf(config.DIGEST_WEEKLY_DAY);
+        while (new Date(slot + IST_OFFSET_MS).getUTCDay() !== weekday) slot -= DAY_MS;
+    }
+    return slot;
+}
+
+function getNextDigestSlot(period, now) {
+    return getLastDigestSlot(period, now) + DIGEST_PERIODS[period].days * DAY_MS;
+}
+
+function getAlertCategory(alert) {
+    if (alert.type === 'forecast') return 'forecast';
+    if (alert.type === 'all-clear') return 'allClear';
+    return 'rain';
+}
+
+// Per-zone figures for the period ending at `end`. Both digests carry 24h and
+// 7-day totals, so a week of readings is always read.
+async function buildDigest(period, end = Date.now()) {
+    const { days, bucketMs } = DIGEST_PERIODS[period];
+    const from = end - days * DAY_MS;
+    const samples = {};
+    const alertCounts = {};
+
+    for await (const record of readZoneReadings({ from: new Date(end - 7 * DAY_MS), to: new Date(end) })) {
+        if (typeof record.rainfall !== 'number') continue;
+        if (!samples[record.zone]) samples[record.zone] = [];
+        samples[record.zone].push({ time: new Date(record.timestamp).getTime(), rate: record.rainfall });
+    }
+
+    for await (const alert of readAlertRecords({ zones: null, from: new Date(from), to: new Date(end) })) {
+        if (!alertCounts[alert.zone]) alertCounts[alert.zone] = { rain: 0, forecast: 0, allClear: 0 };
+        alertCounts[alert.zone][getAlertCategory(alert)]++;
+    }
+
+    const bucketCount = Math.round(days * DAY_MS / bucketMs);
+    const zones = monitoredZones.map(zone => {
+        const zoneSamples = (samples[zone.name] || []).sort((a, b) => a.time - b.time);
+        const inPeriod = zoneSamples.filter(sample => sample.time >= from);
+        const peak = inPeriod.reduce((best, sample) => (!best || sample.rate > best.rate ? sample : best), null);
+        const hasData = zoneSamples.length > 0;
+
+        return {
+            zone: zone.name,
+            readings: inPeriod.length,
+            total24h: hasData ? roundTo(integrateRainfall(zoneSamples, end - DAY_MS, end), 1) : null,
+            total7d: hasData ? roundTo(integrateRainfall(zoneSamples, end - 7 * DAY_MS, end), 1) : null,
+            peak: peak && peak.rate > 0
+                ? { rainfall: roundTo(peak.rate, 1), intensity: getRainfallIntensity(peak.rate), at: new Date(peak.time).toISOString() }
+                : null,
+            alerts: alertCounts[zone.name] || { rain: 0, forecast: 0, allClear: 0 },
+            series: Array.from({ length: bucketCount }, (_, i) =>
+                integrateRainfall(zoneSamples, from + i * bucketMs, from + (i + 1) * bucketMs))
+        };
+    });
+
+    return { period, from: new Date(from).toISOString(), to: new Date(end).toISOString(), bucketMs, zones };
+}
+
+// Narrows a digest to the subscriber's zones and works out the headline figures
+function summarizeDigest(digest, subscriber = null) {
+    const periodKey = digest.period === 'daily' ? 'total24h' : 'total7d';
+    const zones = digest.zones.filter(zone => !subscriber || subscriberWantsZone(subscriber, zone.zone));
+    const withData = zones.filter(zone => zone.readings > 0);
+
+    const peak = zones
+        .filter(zone => zone.peak)
+        .reduce((best, zone) => (!best || zone.peak.rainfall > best.rainfall ? { zone: zone.zone, ...zone.peak } : best), null);
+
+    const alerts = { rain: 0, forecast: 0, allClear: 0 };
+    zones.forEach(zone => Object.keys(alerts).forEach(key => { alerts[key] += zone.alerts[key]; }));
+
+    const from = new Date(digest.from).getTime();
+    const series = (zones[0] ? zones[0].series : []).map((_, i) => {
+        const start = from + i * digest.bucketMs;
+        const label = new Date(start + IST_OFFSET_MS);
+        return {
+            start: new Date(start).toISOString(),
+            label: digest.period === 'daily'
+                ? `${String(label.getUTCHours()).padStart(2, '0')}:${String(label.getUTCMinutes()).padStart(2, '0')}`
+                : WEEKDAYS[label.getUTCDay()].slice(0, 3),
+            value: withData.length > 0 ? roundTo(withData.reduce((sum, zone) => sum + zone.series[i], 0) / withData.length, 1) : 0
+        };
+    });
+
+    return {
+        period: digest.period,
+        label: DIGEST_PERIODS[digest.period].label,
+        from: digest.from,
+        to: digest.to,
+        hasData: withData.length > 0,
+        zones: zones.map(({ series: _series, ...zone }) => zone),
+        wettest: zones
+            .filter(zone => zone[periodKey] > 0)
+            .sort((a, b) => b[periodKey] - a[periodKey])
+            .slice(0, config.DIGEST_TOP_ZONES)
+            .map(({ series: _series, ...zone }) => zone),
+        peak,
+        alerts,
+        series
+    };
+}
+
+function buildDigestSubject(summary, language = 'en') {
+    const t = translator(language);
+    const period = t(`digest.periods.${summary.period}`);
+    const wettest = summary.wettest[0];
+    return wettest
+        ? t('digest.subject', { period, zone: t.zone(wettest.zone) })
+        : t('digest.subjectNoRain', { period });
+}
+
+function buildDigestMessage(summary, language = 'en') {
+    return renderNamedTemplate('digest-text', buildDigestContext(summary, language));
+}
+
+function getDigestRecipients(period) {
+    return getAllSubscribers().filter(s => s.active && (s.digests || Object.keys(DIGEST_PERIODS)).includes(period));
+}
+
+async function sendDigest(period, end = Date.now()) {
+    const digest = await buildDigest(period, end);
+    const results = [];
+
+    for (const subscriber of getDigestRecipients(period)) {
+        const summary = summarizeDigest(digest, subscriber);
+        if (!summary.hasData) {
+            log(`📊 Skipping ${period} digest for ${subscriber.name} - no readings for their zones`);
+            continue;
+        }
+
+        log(`📊 Sending ${period} digest to ${subscriber.name}`);
+        const channels = await sendToSubscriber(subscriber, language => ({
+            kind: 'digest',
+            subject: buildDigestSubject(summary, language),
+            text: buildDigestMessage(summary, language),
+            html: generateDigestHTMLReport(summary, language),
+            shortText: buildDigestSubject(summary, language),
+            data: summary
+        }));
+        results.push({ subscriber: subscriber.id, name: subscriber.name, channels });
+    }
+
+    return { period, from: digest.from, to: digest.to, results };
+}
+
+// Sends every period whose latest slot hasn't gone out yet, then waits for the next one
+async function runDueDigests() {
+    const now = Date.now();
+
+    for (const period of config.DIGESTS) {
+        const slot = getLastDigestSlot(period, now);
+        const last = digestState[period];
+        if (last && new Date(last.slot).getTime() >= slot) continue;
+        if (now - slot > DIGEST_CATCHUP_HOURS * HOUR_MS) continue;
+
+        try {
+            const result = await sendDigest(period, slot);
+            digestState[period] = { slot: new Date(slot).toISOString(), sentAt: new Date().toISOString(), recipients: result.results.length };
+            saveJSONFile(DIGEST_STATE_FILE, digestState);
+        } catch (error) {
+            log(`📊 ${period} digest failed: ${error.message}`, 'ERROR');
+        }
+    }
+
+    scheduleDigests();
+}
+
+function scheduleDigests() {
+    clearTimeout(digestTimer);
+    const now = Date.now();
+    const next = Math.min(...config.DIGESTS.map(period => getNextDigestSlot(period, now)));
+    digestTimer = setTimeout(runDueDigests, next - now + 1000);
+}
+
+function startDigestScheduler() {
+    const unknown = config.DIGESTS.filter(period => !DIGEST_PERIODS[period]);
+    if (unknown.length > 0 || !getDigestTime() || !WEEKDAYS.includes(config.DIGEST_WEEKLY_DAY)) {
+        log(`📊 Digests disabled - check DIGESTS (${unknown.join(', ') || 'ok'}), DIGEST_TIME (${config.DIGEST_TIME}) and DIGEST_WEEKLY_DAY (${config.DIGEST_WEEKLY_DAY})`, 'ERROR');
+        return;
+    }
+    if (config.DIGESTS.length === 0) {
+        log('📊 Digests disabled (DIGESTS is empty)');
+        return;
+    }
+
+    digestState = loadJSONFile(DIGEST_STATE_FILE, {});
+    runDueDigests();
+}
+
+function getDigestSchedule() {
+    const now = Date.now();
+    return config.DIGESTS.filter(period => DIGEST_PERIODS[period] && getDigestTime()).map(period => ({
+        period,
+        nextRun: new Date(getNextDigestSlot(period, now)).toISOString(),
+        lastSent: digestState[period] || null,
+        recipients: getDigestRecipients(period).length
+    }));
+}
+
+// **AUTHENTICATION AND AUDIT**
+// Read routes stay public. Control, test and admin routes need an API key
+// (X-API-Key or "Authorization: Bearer <key>") or a dashboard session token from
+// POST /api/auth/login. Roles are ordered, so an admin can do anything an
+// operator can. Privileged requests are appended to audit.jsonl, including refusals.
+const AUTH_ROLES = ['viewer', 'operator', 'admin'];
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+const sessions = new Map();
+const loginFailures = new Map();
+
+// Behind a reverse proxy (Railway's included) every request arrives from the proxy, so
+// req.ip - used for the login lockout and the audit trail - needs X-Forwarded-For.
+// TRUST_PROXY takes Express's "trust proxy" values: true, a hop count, or a
+// comma-separated list of proxy addresses and subnets.
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+if (config.TRUST_PROXY) app.set('trust proxy', parseTrustProxy(config.TRUST_PROXY));
+
+// "name:role:secret" entries, comma separated. The secret may itself contain colons.
+function parseCredentials(value, label) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        const secret = rest.join(':');
+        if (!name || !secret || !AUTH_ROLES.includes(role)) {
+            log(`🔐 Ignoring malformed ${label} entry "${name || entry}" (expected name:role:secret with role ${AUTH_ROLES.join('/')})`, 'WARNING');
+            return null;
+        }
+        return { name, role, secret };
+    }).filter(Boolean);
+}
+
+const apiKeys = parseCredentials(config.API_KEYS, 'API_KEYS');
+const authUsers = parseCredentials(config.AUTH_USERS, 'AUTH_USERS');
+
+// Hash both sides so timingSafeEqual always compares equal-length buffers
+function secretsMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function hasRole(role, required) {
+    return AUTH_ROLES.indexOf(role) >= AUTH_ROLES.indexOf(required);
+}
+
+function getRequestCredential(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.get('X-API-Key') || '';
+}
+
+function authenticateRequest(req) {
+    const credential = getRequestCredential(req);
+    if (!credential) return null;
+
+    const session = sessions.get(credential);
+    if (session) {
+        if (session.expiresAt > Date.now()) return { name: session.name, role: session.role, via: 'session' };
+        sessions.delete(credential);
+    }
+
+    const key = apiKeys.find(entry => secretsMatch(credential, entry.secret));
+    return key ? { name: key.name, role: key.role, via: 'api-key' } : null;
+}
+
+async function recordAudit(entry) {
+    await appendJSONLine(AUDIT_FILE, { timestamp: new Date().toISOString(), ...entry });
+}
+
+// Audited requests are logged once the response is sent, so the entry carries the
+// outcome. Routes without an action name (privileged reads) are checked but not logged.
+function requireRole(role, action = null) {
+    return (req, res, next) => {
+        const actor = authenticateRequest(req);
+        const audit = outcome => recordAudit({
+            actor: actor ? actor.name : null,
+            role: actor ? actor.role : null,
+            via: actor ? actor.via : null,
+            ip: req.ip,
+            action: action || `${req.method} ${req.path}`,
+            target: Object.keys(req.params).length > 0 ? req.params : undefined,
+            ...outcome
+        });
+
+        if (!actor || !hasRole(actor.role, role)) {
+            const status = actor ? 403 : 401;
+            audit({ status, outcome: 'denied' });
+            log(`🔐 Refused ${req.method} ${req.path} from ${actor ? `${actor.name} (${actor.role})` : req.ip}`, 'WARNING');
+            return res.status(status).json({
+                success: false,
+                error: actor ? `Requires the ${role} role` : 'Authentication required',
+                requiredRole: role
+            });
+        }
+
+        req.auth = actor;
+        if (action) {
+            res.on('finish', () => audit({ status: res.statusCode, outcome: res.statusCode < 400 ? 'ok' : 'failed' }));
+        }
+        next();
+    };
+}
+
+function pruneSessions() {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(token);
+    }
+    for (const [key, failures] of loginFailures) {
+        if (now - failures.lastAt >= LOGIN_LOCKOUT_MS) loginFailures.delete(key);
+    }
+}
+
+setInterval(pruneSessions, HOUR_MS).unref();
+
+// Failures are counted per username and client address, so someone guessing one
+// account's password doesn't lock every other operator out with it
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const failureKey = `${username || ''}|${req.ip}`;
+    const failures = loginFailures.get(failureKey);
+    if (failures && failures.count >= LOGIN_MAX_FAILURES && Date.now() - failures.lastAt < LOGIN_LOCKOUT_MS) {
+        return res.status(429).json({ success: false, error: 'Too many failed logins - try again later' });
+    }
+
+    const user = authUsers.find(entry => entry.name === username);
+    if (!user || !secretsMatch(password || '', user.secret)) {
+        loginFailures.set(failureKey, { count: (failures ? failures.count : 0) + 1, lastAt: Date.now() });
+        recordAudit({ actor: username || null, ip: req.ip, action: 'auth.login', outcome: 'denied', status: 401 });
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    loginFailures.delete(failureKey);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + config.SESSION_TTL_HOURS * HOUR_MS;
+    sessions.set(token, { name: user.name, role: user.role, expiresAt });
+    recordAudit({ actor: user.name, role: user.role, via: 'session', ip: req.ip, action: 'auth.login', outcome: 'ok', status: 200 });
+    log(`🔐 ${user.name} (${user.role}) signed in`);
+
+    res.json({ success: true, token, user: { name: user.name, role: user.role }, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+app.post('/api/auth/logout', requireRole('viewer', 'auth.logout'), (req, res) => {
+    sessions.delete(getRequestCredential(req));
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, user: req.auth });
+});
+
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    const to = parseTimeParam(req.query.to, new Date());
+    const from = parseTimeParam(req.query.from, to ? new Date(to.getTime() - 7 * DAY_MS) : null);
+    const limit = Math.min(parseInt(req.query.limit || '200', 10) || 200, 5000);
+
+    if (!from || !to || from > to) {
+        return res.status(400).json({ success: false, error: 'Invalid from/to range' });
+    }
+
+    try {
+        const entries = [];
+        for await (const entry of readJSONLines(AUDIT_FILE)) {
+            const time = new Date(entry.timestamp);
+            if (time < from || time > to) continue;
+            if (req.query.actor && entry.actor !== req.query.actor) continue;
+            if (req.query.action && entry.action !== req.query.action) continue;
+            entries.push(entry);
+        }
+
+        // Newest first, like /api/alerts
+        res.json({ success: true, count: Math.min(entries.length, limit), entries: entries.reverse().slice(0, limit) });
+    } catch (error) {
+        log(`Audit query failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// TEST ENDPOINTS
+// POST only: these send real messages, so a link preview or prefetch must not trigger them
+app.post('/test-telegram', requireRole('operator', 'test.telegram'), async (req, res) => {
+    if (req.query.lang && !LANGUAGES.includes(req.query.lang)) {
+        return res.status(400).json({ success: false, error: `lang must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    if (!config.TELEGRAM_BOT_TOKEN || !config.TELEGRAM_CHAT_ID) {
+        return res.status(503).json({ success: false, error: 'Telegram not configured - set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID' });
+    }
+    const language = req.query.lang || config.DEFAULT_LANGUAGE;
+    const t = translator(language);
+
+    try {
+        const sampleZone = Object.values(weatherData).find(zone => zone.realData);
+        if (!sampleZone) {
+            return res.status(503).json({ success: false, error: 'No zone has validated data yet - check /api/health/providers' });
+        }
+        
+        const testMessage = `${t('test.telegramTitle')}
+📅 ${t.date(new Date())}
+
+${t('test.realData')}
+
+${t('test.zoneStatus', { zone: t.zone(sampleZone.zone) })}
+${t('test.rainfall', { rate: sampleZone.rainfall.toFixed(2), intensity: t.intensity(sampleZone.intensity) })}
+${t('test.temperature', { temperature: formatTemperature(sampleZone.temperature, t.language) })}
+${t('test.condition', { description: sampleZone.description })}
+${t('test.sources', { sources: sampleZone.sources })}
+${t('test.fusion', { summary: formatFusionSummary(sampleZone, language) })}
+
+${t('test.cityStatus')}
+${Object.values(weatherData).slice(0, 5).map(zone => {
+    if (!zone.realData) return `⚠️ ${t.zone(zone.zone)}: ${t('test.noData')}`;
+    const icon = zone.rainfall >= getRainingThreshold() ? '🌧️' : '☀️';
+    return `${icon} ${t.zone(zone.zone)}: ${zone.rainfall.toFixed(1)}mm/hr (${t.intensity(zone.intensity)})`;
+}).join('\n')}
+
+${t('test.footer')}`;
+
+        await sendTestMessage(res, {
+            id: 'test',
+            name: `Telegram test by ${req.auth.name}`,
+            language: t.language,
+            channels: [{ type: 'telegram', chatId: config.TELEGRAM_CHAT_ID }]
+        }, () => ({ kind: 'test', subject: t('test.telegramTitle'), text: testMessage }), { currentWeather: sampleZone });
+    } catch (error) {
+        res.json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+app.post('/test-email', requireRole('operator', 'test.email'), async (req, res) => {
+    if (req.query.lang && !LANGUAGES.includes(req.query.lang)) {
+        return res.status(400).json({ success: false, error: `lang must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    if (!config.EMAIL_FROM || !config.EMAIL_TO || !config.EMAIL_PASS) {
+        return res.status(503).json({ success: false, error: 'Email configuration missing - set EMAIL_FROM, EMAIL_TO and EMAIL_PASS' });
+    }
+    const t = translator(req.query.lang || config.DEFAULT_LANGUAGE);
+
+    try {
+        const testHtml = `
+        <!DOCTYPE html>
+        <html lang="${t.language}">
+        <head>
+            <meta charset="utf-8">
+            <style>
+                body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
+                .container { max-width: 700px; margin: 0 auto; background: white; padding: 40px; border-radius: 15px; }
+                .header { background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 40px; border-radius: 15px; text-align: center; }
+                .success-badge { background: #007bff; color: white; padding: 10px 20px; border-radius: 25px; margin: 15px 0; display: inline-block; }
+                .weather-box { background: #e7f3ff; padding: 25px; border-radius: 10px; margin: 20px 0; border-left: 5px solid #007bff; }
+                .status-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 20px 0; }
+                .status-card { background: #f8f9fa; padding: 15px; border-radius: 8px; text-align: center; }
+                .footer { background: #28a745; color: white; padding: 20px; border-radius: 10px; text-align: center; margin-top: 30px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>${t('test.emailTitle')}</h1>
+                    <div class="success-badge">${t('test.emailBadge')}</div>
+                </div>
+                
+                <div class="weather-box">
+                    <h3>${t('test.emailWeather')}</h3>
+                    <div class="status-grid">
+                        ${Object.values(weatherData).slice(0, 4).map(zone => `
+                            <div class="status-card">
+                                <strong>${escapeHtml(t.zone(zone.zone))}</strong><br>
+                                ${zone.realData ? `${zone.rainfall.toFixed(1)}mm/hr` : t('test.emailNoData')}<br>
+                                <small>${t.intensity(zone.intensity)}</small>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                
+                <div class="footer">
+                    <h3>${t('test.emailWorking')}</h3>
+                    <p>${t('test.emailFooter')}</p>
+                </div>
+            </div>
+        </body>
+        </html>`;
+
+        await sendTestMessage(res, {
+            id: 'test',
+            name: `Email test by ${req.auth.name}`,
+            language: t.language,
+            channels: [{ type: 'email', address: config.EMAIL_TO }]
+        }, () => ({ kind: 'test', subject: t('test.emailSubject'), text: t('test.emailTitle'), html: testHtml }), {
+            weatherDataLoaded: Object.keys(weatherData).length > 0
+        });
+    } catch (error) {
+        res.json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// API Routes
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'), (err) => {
+        if (err) {
+            res.json({
+                message: '🌧️ Mumbai Rain Monitor - ACCURATE Weather System',
+                status: 'running',
+                features: [
+                    'Cross-validated weather data',
+                    'Alerts on rain onset, escalation and all-clear',
+                    'Fixed email system',
+                    'Multi-API accuracy verification'
+                ],
+                currentWeather: Object.keys(weatherData).length > 0 ? 'Real data loaded' : 'Loading...'
+            });
+        }
+    });
+});
+
+app.get('/api/status', (req, res) => {
+    const activeAPIs = getEnabledProviders('current').map(provider => provider.name);
+    
+    res.json({
+        success: true,
+        status: {
+            monitoring: isMonitoringActive,
+            mode: describeMode(),
+            zonesCount: monitoredZones.length,
+            lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+            lastUpdateAttempt: lastUpdateAttempt ? lastUpdateAttempt.toISOString() : null,
+            alertCount: alertHistory.length,
+            weatherSources: activeAPIs,
+            sourceReliability: getSourceReliabilitySummary(),
+            schedule: getScheduleSummary(),
+            tides: getTideSummary(),
+            outbox: getOutboxSummary(),
+            dataAccuracy: 'Cross-Validated Multi-API',
+            configStatus: {
+                weatherAPIs: activeAPIs.length,
+                telegram: !!(config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_CHAT_ID),
+                email: !!(config.EMAIL_FROM && config.EMAIL_TO && config.EMAIL_PASS)
+            }
+        },
+        testEndpoints: {
+            testTelegram: 'POST /test-telegram',
+            testEmail: 'POST /test-email'
+        }
+    });
+});
+
+app.get('/api/weather', (req, res) => {
+    res.json({
+        success: true,
+        data: weatherData,
+        lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+        zonesCount: Object.keys(weatherData).length,
+        dataType: 'Cross-Validated Accurate Weather Data',
+        accuracy: 'High - Multi-API verification prevents false readings'
+    });
+});
+
+app.get('/api/alerts', (req, res) => {
+    res.json({
+        success: true,
+        alerts: alertHistory.slice(0, 50).map(describeAlert),
+        totalAlerts: alertHistory.length,
+        alertType: 'Rain lifecycle transitions (onset, escalation, subsiding, all-clear)'
+    });
+});
+
+app.get('/api/alerts/state', (req, res) => {
+    const zones = {};
+    monitoredZones.forEach(zone => {
+        if (req.query.zone && req.query.zone !== zone.name) return;
+        const zoneState = zoneAlertStates[zone.name];
+        zones[zone.name] = zoneState
+            ? { ...zoneState, label: ALERT_STATE_LABELS[zoneState.state] }
+            : { state: 'clear', label: ALERT_STATE_LABELS.clear, transitions: [] };
+    });
+
+    res.json({
+        success: true,
+        zones,
+        thresholds: {
+            mode: getCurrentMode().id,
+            rainingMm: getRainingThreshold(),
+            heavyMm: getModeSettings().thresholds.heavy,
+            veryHeavyMm: getModeSettings().thresholds.veryHeavy,
+            hysteresisMm: config.ALERT_HYSTERESIS_MM,
+            cooldownMinutes: config.ALERT_COOLDOWN_MINUTES,
+            allClearMinutes: config.ALERT_ALL_CLEAR_MINUTES,
+            heavy24hMm: config.ALERT_HEAVY_24H_MM,
+            veryHeavy24hMm: config.ALERT_VERY_HEAVY_24H_MM
+        }
+    });
+});
+
+// Per-zone flood risk with the reasons behind each score
+app.get('/api/flood-risk', (req, res) => {
+    const { zones, unknown } = parseZoneFilter(req.query.zone);
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown zone(s): ${unknown.join(', ')}` });
+    }
+
+    const selected = monitoredZones.filter(zone => !zones || zones.includes(zone.name));
+    res.json({
+        success: true,
+        summary: summariseFloodRisk(zones),
+        lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+        levels: FLOOD_RISK_LEVELS,
+        zones: selected.map(zone => ({
+            zone: zone.name,
+            id: zone.id,
+            risk: weatherData[zone.name] ? weatherData[zone.name].floodRisk || null : null,
+            vulnerability: getZoneVulnerability(zone)
+        }))
+    });
+});
+
+// Tide table
+app.get('/api/tides', (req, res) => {
+    const hours = req.query.hours !== undefined ? parseFloat(req.query.hours) : 48;
+    if (!isFinite(hours) || hours <= 0) {
+        return res.status(400).json({ success: false, error: 'hours must be a positive number' });
+    }
+    res.json({ success: true, ...getTideSummary(), upcoming: getUpcomingTides(hours) });
+});
+
+// Replaces the whole table. Send text/csv, a JSON array, or { tides: [...] }
+app.post('/api/tides', requireRole('admin', 'tides.import'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+    const entries = typeof req.body === 'string'
+        ? parseTideCSV(req.body)
+        : Array.isArray(req.body) ? req.body : (req.body && req.body.tides) || [];
+    if (entries.length === 0) {
+        return res.status(400).json({ success: false, error: 'No tides found - send a CSV with a time,type,height header or a JSON array' });
+    }
+
+    const result = importTideTable(entries, 'upload');
+    if (result.errors) {
+        return res.status(400).json({ success: false, error: 'Invalid tide table', details: result.errors.slice(0, 20) });
+    }
+    res.json({
+        success: true,
+        count: result.tides.length,
+        from: result.tides[0].time,
+        to: result.tides[result.tides.length - 1].time
+    });
+});
+
+// Catalogue for the dashboard, with zone names resolved for the zones monitored now
+app.get('/api/i18n/:language', (req, res) => {
+    const { language } = req.params;
+    if (!LANGUAGES.includes(language)) {
+        return res.status(404).json({ success: false, error: `language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    const t = translator(language);
+    res.json({
+        success: true,
+        language,
+        defaultLanguage: resolveLanguage(null),
+        languages: LANGUAGES.map(id => ({ id, name: catalogues[id].meta.name })),
+        messages: getCatalogue(language),
+        zoneNames: Object.fromEntries(monitoredZones.map(zone => [zone.name, t.zone(zone.name)]))
+    });
+});
+
+// Zone management
+app.get('/api/zones', (req, res) => {
+    if (req.query.format === 'geojson') {
+        return res.json({ type: 'FeatureCollection', features: monitoredZones.map(zoneToFeature) });
+    }
+    res.json({ success: true, zones: monitoredZones.map(serialiseZone) });
+});
+
+app.get('/api/zones/:id', (req, res) => {
+    const zone = findZoneByName(req.params.id);
+    if (!zone) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+    res.json({ success: true, zone: serialiseZone(zone), weather: weatherData[zone.name] || null });
+});
+
+app.post('/api/zones', requireRole('admin', 'zones.create'), (req, res) => {
+    const zone = buildZone(req.body || {});
+    const error = validateZone(zone);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    monitoredZones.push(zone);
+    saveZones();
+    log(`📍 Zone added: ${zone.name} (${zone.lat}, ${zone.lon}) - picked up on the next update`);
+    res.status(201).json({ success: true, zone: serialiseZone(zone) });
+});
+
+app.put('/api/zones/:id', requireRole('admin', 'zones.update'), (req, res) => {
+    const index = monitoredZones.findIndex(z => z.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+
+    const existing = monitoredZones[index];
+    const zone = buildZone({ ...(req.body || {}), id: existing.id }, existing);
+    const error = validateZone(zone, existing.id);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    monitoredZones[index] = zone;
+    if (zone.name !== existing.name) renameZoneReferences(existing.name, zone.name);
+    saveZones();
+    log(`📍 Zone updated: ${zone.name}`);
+    res.json({ success: true, zone: serialiseZone(zone) });
+});
+
+app.delete('/api/zones/:id', requireRole('admin', 'zones.delete'), (req, res) => {
+    const index = monitoredZones.findIndex(z => z.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+
+    const [removed] = monitoredZones.splice(index, 1);
+    removeZoneReferences(removed.name);
+    monitoredZones.forEach(zone => {
+        if (zone.vulnerability && Array.isArray(zone.vulnerability.upstream)) {
+            zone.vulnerability.upstream = zone.vulnerability.upstream.filter(id => id !== removed.id);
+        }
+    });
+    saveZones();
+    log(`📍 Zone removed: ${removed.name}`);
+    res.json({ success: true, zone: serialiseZone(removed) });
+});
+
+// Subscriber management
+app.get('/api/subscribers', requireRole('operator'), (req, res) => {
+    res.json({
+        success: true,
+        subscribers: getAllSubscribers(),
+        intensityLevels: INTENSITY_LEVELS.slice(1),
+        languages: LANGUAGES,
+        channelTypes: Array.from(channelTypes.keys()),
+        channels: notificationChannels.map(channel => ({ id: channel.id, name: channel.name, type: channel.type, active: channel.active }))
+    });
+});
+
+app.get('/api/subscribers/:id', requireRole('operator'), (req, res) => {
+    const subscriber = getAllSubscribers().find(s => s.id === req.params.id);
+    if (!subscriber) {
+        return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+    res.json({ success: true, subscriber });
+});
+
+app.post('/api/subscribers', requireRole('admin', 'subscribers.create'), (req, res) => {
+    const subscriber = buildSubscriber(req.body || {});
+    const error = validateSubscriber(subscriber);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    subscribers.push(subscriber);
+    saveSubscribers();
+    log(`👤 Subscriber added: ${subscriber.name} (${subscriber.zones.length || 'all'} zones)`);
+    res.status(201).json({ success: true, subscriber });
+});
+
+app.put('/api/subscribers/:id', requireRole('admin', 'subscribers.update'), (req, res) => {
+    const index = subscribers.findIndex(s => s.id === req.params.id);
+    if (index === -1) {
+        const builtIn = req.params.id === 'default';
+        return res.status(builtIn ? 400 : 404).json({
+            success: false,
+            error: builtIn ? 'The default subscriber is configured through environment variables' : 'Subscriber not found'
+        });
+    }
+
+    const subscriber = buildSubscriber(req.body || {}, subscribers[index]);
+    const error = validateSubscriber(subscriber);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    subscribers[index] = subscriber;
+    saveSubscribers();
+    log(`👤 Subscriber updated: ${subscriber.name}`);
+    res.json({ success: true, subscriber });
+});
+
+app.delete('/api/subscribers/:id', requireRole('admin', 'subscribers.delete'), (req, res) => {
+    const index = subscribers.findIndex(s => s.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+
+    const [removed] = subscribers.splice(index, 1);
+    saveSubscribers();
+    log(`👤 Subscriber removed: ${removed.name}`);
+    res.json({ success: true, subscriber: removed });
+});
+
+// Notification channel management
+app.get('/api/channels', requireRole('operator'), (req, res) => {
+    res.json({
+        success: true,
+        channels: notificationChannels.map(maskChannel),
+        languages: LANGUAGES,
+        types: Array.from(channelTypes.values()).map(plugin => ({
+            type: plugin.type,
+            name: plugin.name,
+            fields: plugin.fields,
+            configured: plugin.isConfigured()
+        }))
+    });
+});
+
+app.post('/api/channels', requireRole('admin', 'channels.create'), (req, res) => {
+    const channel = buildChannel(req.body || {});
+    const error = validateChannel(channel, true);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    notificationChannels.push(channel);
+    saveChannels();
+    log(`📣 Channel added: ${channel.name} (${channel.type})`);
+    res.status(201).json({ success: true, channel: maskChannel(channel) });
+});
+
+// Channels given inline are tested without being saved
+app.post('/api/channels/test', requireRole('operator', 'channels.test'), async (req, res) => {
+    const { type, settings = {}, language } = req.body || {};
+    const error = language && !LANGUAGES.includes(language)
+        ? `language must be one of: ${LANGUAGES.join(', ')}`
+        : validateChannelSettings(type, settings);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    await sendTestMessage(res, {
+        id: 'channel-test',
+        name: `Channel test (${type}) by ${req.auth.name}`,
+        language: resolveLanguage(language),
+        channels: [{ ...settings, type }]
+    }, testLanguage => buildTestNotification(type, testLanguage));
+});
+
+app.post('/api/channels/:id/test', requireRole('operator', 'channels.test'), async (req, res) => {
+    const channel = notificationChannels.find(c => c.id === req.params.id);
+    if (!channel) {
+        return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    // Inline, so a channel can be tried before it is switched on
+    await sendTestMessage(res, {
+        id: 'channel-test',
+        name: `Channel test (${channel.id}) by ${req.auth.name}`,
+        language: resolveLanguage(channel.language),
+        channels: [{ ...channel.settings, type: channel.type }]
+    }, testLanguage => buildTestNotification(channel.id, testLanguage));
+});
+
+app.put('/api/channels/:id', requireRole('admin', 'channels.update'), (req, res) => {
+    const index = notificationChannels.findIndex(c => c.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const channel = buildChannel(req.body || {}, notificationChannels[index]);
+    const error = validateChannel(channel, false);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    notificationChannels[index] = channel;
+    saveChannels();
+    log(`📣 Channel updated: ${channel.name}`);
+    res.json({ success: true, channel: maskChannel(channel) });
+});
+
+app.delete('/api/channels/:id', requireRole('admin', 'channels.delete'), (req, res) => {
+    const index = notificationChannels.findIndex(c => c.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const users = subscribers.filter(s => s.channels.some(entry => entry.channelId === req.params.id));
+    if (users.length > 0) {
+        return res.status(409).json({
+            success: false,
+            error: `Channel is used by subscriber(s): ${users.map(s => s.name).join(', ')}`
+        });
+    }
+
+    const [removed] = notificationChannels.splice(index, 1);
+    saveChannels();
+    log(`📣 Channel removed: ${removed.name}`);
+    res.json({ success: true, channel: maskChannel(removed) });
+});
+
+// Notification outbox and delivery log
+app.get('/api/notifications', requireRole('operator'), (req, res) => {
+    const { status, kind, recipient } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const messages = outbox.filter(message =>
+        (!status || getMessageStatus(message) === status || message.deliveries.some(delivery => delivery.status === status)) &&
+        (!kind || message.kind === kind) &&
+        (!recipient || message.recipient.id === recipient));
+
+    res.json({
+        success: true,
+        summary: getOutboxSummary(),
+        total: messages.length,
+        notifications: messages.slice(0, limit).map(message => serialiseOutboxMessage(message))
+    });
+});
+
+app.get('/api/notifications/:id', requireRole('operator'), (req, res) => {
+    const message = outbox.find(m => m.id === req.params.id);
+    if (!message) {
+        return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    res.json({ success: true, notification: serialiseOutboxMessage(message, true) });
+});
+
+// Resends every dead-lettered delivery, e.g. after fixing a channel's settings
+app.post('/api/notifications/resend', requireRole('operator', 'notifications.resend'), async (req, res) => {
+    const resent = outbox.reduce((count, message) => count + resendDeliveries(message), 0);
+    if (resent === 0) {
+        return res.status(409).json({ success: false, error: 'No failed or dead-lettered deliveries to resend' });
+    }
+
+    log(`📮 ${req.auth.name} requeued ${resent} deliveries`);
+    saveOutbox();
+    await runOutbox();
+    res.json({ success: true, resent, summary: getOutboxSummary() });
+});
+
+app.post('/api/notifications/:id/resend', requireRole('operator', 'notifications.resend'), async (req, res) => {
+    const message = outbox.find(m => m.id === req.params.id);
+    if (!message) {
+        return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    const resent = resendDeliveries(message, (req.body && req.body.channel) || null);
+    if (resent === 0) {
+        return res.status(409).json({ success: false, error: 'No failed or dead-lettered deliveries to resend' });
+    }
+
+    log(`📮 ${req.auth.name} requeued ${resent} deliveries of ${message.id}`);
+    saveOutbox();
+    await runOutbox();
+    res.json({ success: true, resent, notification: serialiseOutboxMessage(message) });
+});
+
+app.get('/api/forecast/:zone', async (req, res) => {
+    const zone = findZoneByName(req.params.zone);
+    if (!zone) {
+        return res.status(404).json({ success: false, error: `Unknown zone "${req.params.zone}"` });
+    }
+
+    const forecast = await getZoneForecast(zone);
+    if (!forecast) {
+        return res.status(503).json({ success: false, error: 'No forecast provider responded' });
+    }
+
+    const now = Date.now();
+    const hours = forecast.hours.filter(hour => {
+        const time = new Date(hour.time).getTime();
+        return time >= now - HOUR_MS && time < now + 48 * HOUR_MS;
+    });
+
+    res.json({
+        success: true,
+        zone: zone.name,
+        fetchedAt: forecast.fetchedAt,
+        sources: forecast.sources,
+        hours,
+        earlyWarning: findForecastWarning(forecast, now),
+        thresholds: {
+            warningMm: config.FORECAST_WARNING_MM,
+            minProbability: config.FORECAST_MIN_PROBABILITY,
+            leadHours: [config.FORECAST_MIN_LEAD_HOURS, config.FORECAST_MAX_LEAD_HOURS]
+        }
+    });
+});
+
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+app.get('/api/health/providers', (req, res) => {
+    const providers = Array.from(weatherProviders.values()).map(getProviderHealth);
+    res.json({
+        success: true,
+        providers,
+        coverage: {
+            ...coverageAlarm,
+            ...assessCoverage(),
+            minProviders: config.COVERAGE_MIN_PROVIDERS,
+            maxZonesWithoutData: config.COVERAGE_MAX_ZONES_WITHOUT_DATA
+        }
+    });
+});
+
+app.get('/api/providers', (req, res) => {
+    res.json({
+        success: true,
+        order: getEnabledProviders('current').map(provider => provider.id),
+        providers: Array.from(weatherProviders.values()).map(describeProvider)
+    });
+});
+
+app.get('/api/history', async (req, res) => {
+    const to = parseTimeParam(req.query.to, new Date());
+    const from = parseTimeParam(req.query.from, to ? new Date(to.getTime() - DAY_MS) : null);
+    const resolution = req.query.resolution || 'raw';
+
+    if (!from || !to || from > to) {
+        return res.status(400).json({ success: false, error: 'Invalid from/to range' });
+    }
+    if (!(resolution in HISTORY_RESOLUTIONS)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown resolution "${resolution}"`,
+            resolutions: Object.keys(HISTORY_RESOLUTIONS)
+        });
+    }
+
+    const { zones, unknown } = parseZoneFilter(req.query.zone);
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown zone(s): ${unknown.join(', ')}` });
+    }
+
+    try {
+        const records = [];
+        for await (const record of readZoneReadings({ zones, from, to })) {
+            records.push(record);
+        }
+
+        const points = resolution === 'raw' ? records : downsampleReadings(records, HISTORY_RESOLUTIONS[resolution]);
+        const series = {};
+        points.forEach(point => {
+            if (!series[point.zone]) series[point.zone] = [];
+            series[point.zone].push(point);
+        });
+
+        res.json({
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            resolution,
+            count: points.length,
+            series
+        });
+    } catch (error) {
+        log(`History query failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/grid', (req, res) => {
+    const field = req.query.field || 'rainfall';
+    const cells = req.query.cells ? parseInt(req.query.cells, 10) : config.GRID_CELLS;
+    const power = req.query.power ? parseFloat(req.query.power) : config.GRID_IDW_POWER;
+
+    if (!GRID_FIELDS.includes(field)) {
+        return res.status(400).json({ success: false, error: `Unknown field "${field}"`, fields: GRID_FIELDS });
+    }
+    if (!(cells >= 2 && cells <= 200)) {
+        return res.status(400).json({ success: false, error: 'cells must be between 2 and 200' });
+    }
+    if (!(power > 0 && power <= 6)) {
+        return res.status(400).json({ success: false, error: 'power must be greater than 0 and at most 6' });
+    }
+    if (monitoredZones.length === 0) {
+        return res.status(503).json({ success: false, error: 'No zones configured' });
+    }
+
+    const grid = buildRainfallGrid({ field, cells, power });
+    if (req.query.format === 'geojson') {
+        return res.json(gridToGeoJSON(grid));
+    }
+    res.json({ success: true, grid });
+});
+
+// **DATA EXPORT**
+// Exports stream record by record from the JSONL files, so a whole season can be
+// downloaded without holding it in memory. Writes wait for the socket to drain.
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+const READING_EXPORT_COLUMNS = ['timestamp', 'zone', 'rainfall', 'intensity', 'temperature', 'humidity', 'pressure', 'windSpeed', 'cloudCover', 'sources'];
+const ALERT_EXPORT_COLUMNS = ['timestamp', 'type', 'zone', 'from', 'to', 'rainfall', 'intensity', 'confidence', 'notified', 'suppressedReason', 'message'];
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(';') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// CSV gets the source names; NDJSON and GeoJSON keep the per-source values
+function exportReadingRow(record) {
+    return { ...record, sources: (record.sources || []).map(s => s.source) };
 }
 
-async function processRainAlerts() {
-    const rainyZones = Object.values(weatherData).filter(zone => zone.rainfall >= 1.0); // Only alert for 1mm+ actual rain
-    
-    if (rainyZones.length > 0) {
-        log(`🌧️ VERIFIED RAIN detected in ${rainyZones.length} zones (≥1mm)`);
-        
-        for (const zone of rainyZones) {
-            const alert = {
-                id: Date.now() + Math.random(),
-                timestamp: new Date().toISOString(),
-                zone: zone.zone,
-                rainfall: zone.rainfall,
-                intensity: zone.intensity,
-                validation: zone.validation,
-                sources: zone.sources,
-                message: `🌧️ VERIFIED RAIN ALERT - ${zone.zone}: ${zone.rainfall.toFixed(1)}mm/hr (${zone.intensity}) - Validated by: ${zone.sources}`
-            };
-            
-            alertHistory.unshift(alert);
-            log(`🚨 REAL RAIN ALERT: ${alert.message}`);
-        }
-        
-        alertHistory = alertHistory.slice(0, 100);
-        await sendRainNotifications(rainyZones);
-    } else {
-        log('☀️ Weather validation confirms: NO RAIN detected - All zones clear');
-    }
+function exportFeature(record) {
+    const zone = monitoredZones.find(z => z.name === record.zone);
+    return {
+        type: 'Feature',
+        geometry: zone ? { type: 'Point', coordinates: [zone.lon, zone.lat] } : null,
+        properties: record
+    };
 }
 
-async function sendRainNotifications(rainyZones) {
-    const timestamp = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
-    
-    const verifiedMessage = `🌧️ MUMBAI VERIFIED RAIN ALERT
-📅 ${timestamp}
+// Parses ?zone=a,b against the configured zone names
+function parseZoneFilter(value) {
+    const zones = value ? String(value).split(',').map(z => z.trim()).filter(Boolean) : null;
+    const unknown = (zones || []).filter(name => !monitoredZones.some(z => z.name === name));
+    return { zones, unknown };
+}
 
-🚨 CONFIRMED RAINFALL (Multi-API Validated):
-${rainyZones.map(zone => 
-    `📍 ${zone.zone}: ${zone.rainfall.toFixed(1)}mm/hr (${zone.intensity})
-   🌡️ ${zone.temperature}°C | 💧 ${zone.humidity}%
-   ✅ Validated: ${zone.validation}
-   📊 Sources: ${zone.sources}`
-).join('\n\n')}
+async function streamExport(req, res, { name, records, columns, toCsvRow = record => record }) {
+    const format = req.query.format || 'csv';
+    const { contentType, extension } = EXPORT_FORMATS[format];
 
-☀️ CLEAR ZONES CONFIRMED:
-${Object.values(weatherData).filter(z => z.rainfall < 1).slice(0, 3).map(zone => 
-    `✅ ${zone.zone}: 0.0mm (Clear) - ${zone.sources}`
-).join('\n')}
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${name}.${extension}"`,
+        'Cache-Control': 'no-store'
+    });
 
-⚠️ FLOOD RISK: ${assessFloodRisk(rainyZones)}
+    let first = true;
+    if (format === 'csv') await writeChunk(res, columns.join(',') + '\n');
+    if (format === 'geojson') await writeChunk(res, '{"type":"FeatureCollection","features":[\n');
 
-🎯 Data Accuracy: Multi-API Cross-Validated
-🔗 Dashboard: https://rain-weather-updates-production.up.railway.app`;
+    for await (const record of records) {
+        if (res.destroyed) return;
+        if (format === 'csv') {
+            const row = toCsvRow(record);
+            await writeChunk(res, columns.map(column => csvValue(row[column])).join(',') + '\n');
+        } else if (format === 'ndjson') {
+            await writeChunk(res, JSON.stringify(record) + '\n');
+        } else {
+            await writeChunk(res, (first ? '' : ',\n') + JSON.stringify(exportFeature(record)));
+        }
+        first = false;
+    }
 
-    // Send notifications
-    if (config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_CHAT_ID) {
-        await sendTelegramMessage(verifiedMessage);
+    if (format === 'geojson') await writeChunk(res, '\n]}\n');
+    res.end();
+}
+
+function parseExportQuery(req, res) {
+    const to = parseTimeParam(req.query.to, new Date());
+    const from = parseTimeParam(req.query.from, to ? new Date(to.getTime() - 7 * DAY_MS) : null);
+    const format = req.query.format || 'csv';
+    const { zones, unknown } = parseZoneFilter(req.query.zone);
+
+    if (!from || !to || from > to) {
+        res.status(400).json({ success: false, error: 'Invalid from/to range' });
+        return null;
     }
-    
-    if (config.EMAIL_FROM && config.EMAIL_TO && config.EMAIL_PASS) {
-        const htmlContent = generateVerifiedHTMLReport(rainyZones, timestamp);
-        await sendEmailAlert(`🌧️ VERIFIED Mumbai Rain Alert - ${rainyZones.length} Zones`, htmlContent);
+    if (!EXPORT_FORMATS[format]) {
+        res.status(400).json({ success: false, error: `Unknown format "${format}"`, formats: Object.keys(EXPORT_FORMATS) });
+        return null;
+    }
+    if (unknown.length > 0) {
+        res.status(400).json({ success: false, error: `Unknown zone(s): ${unknown.join(', ')}` });
+        return null;
     }
+    return { from, to, zones };
 }
 
-function assessFloodRisk(rainyZones) {
-    const heavyRainZones = rainyZones.filter(zone => zone.rainfall >= 7);
-    const totalRainfall = rainyZones.reduce((sum, zone) => sum + zone.rainfall, 0);
-    
-    if (heavyRainZones.length >= 3) {
-        return '🔴 HIGH RISK - Multiple zones with verified heavy rainfall';
-    } else if (totalRainfall > 20) {
-        return '🟡 MEDIUM RISK - Significant verified rainfall';
-    } else if (rainyZones.length >= 5) {
-        return '🟡 MEDIUM RISK - Widespread verified rainfall';
-    } else {
-        return '🟢 LOW RISK - Minimal verified rainfall';
-    }
-}
-
-function generateVerifiedHTMLReport(rainyZones, timestamp) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <style>
-            body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
-            .container { max-width: 900px; margin: 0 auto; background: white; padding: 30px; border-radius: 15px; }
-            .header { background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 40px; border-radius: 15px; text-align: center; margin-bottom: 30px; }
-            .verified-badge { background: #007bff; color: white; padding: 12px 25px; border-radius: 25px; display: inline-block; margin: 15px 0; font-weight: bold; }
-            .clear-badge { background: #28a745; color: white; padding: 8px 15px; border-radius: 20px; display: inline-block; margin: 5px; }
-            .alert-zone { background: #fff3cd; padding: 25px; margin: 20px 0; border-radius: 10px; border-left: 5px solid #ffc107; }
-            .clear-zone { background: #d4edda; padding: 20px; margin: 15px 0; border-radius: 10px; border-left: 5px solid #28a745; }
-            .validation-info { background: #e7f3ff; padding: 15px; border-radius: 8px; margin: 15px 0; font-size: 0.95em; }
-            .footer { text-align: center; margin-top: 40px; padding: 25px; background: #f8f9fa; border-radius: 10px; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <h1>🌧️ VERIFIED Mumbai Rain Report</h1>
-                <div class="verified-badge">✅ MULTI-API CROSS-VALIDATED</div>
-                <p>Generated: ${timestamp}</p>
-            </div>
-            
-            ${rainyZones.length > 0 ? `
-            <h2 style="color: #dc3545;">🚨 Verified Rain Zones (${rainyZones.length})</h2>
-            ${rainyZones.map(zone => `
-                <div class="alert-zone">
-                    <h3>📍 ${zone.zone}</h3>
-                    <p><strong>Verified Rainfall:</strong> ${zone.rainfall.toFixed(2)}mm/hr (${zone.intensity})</p>
-                    <p><strong>Temperature:</strong> ${zone.temperature}°C | <strong>Humidity:</strong> ${zone.humidity}%</p>
-                    <div class="validation-info">
-                        <strong>Validation:</strong> ${zone.validation}<br>
-                        <strong>Data Sources:</strong> ${zone.sources}
-                    </div>
-                </div>
-            `).join('')}
-            ` : ''}
-            
-            <h2 style="color: #28a745;">☀️ Verified Clear Zones</h2>
-            ${Object.values(weatherData).filter(z => z.rainfall < 1).map(zone => `
-                <div class="clear-zone">
-                    <h4>✅ ${zone.zone} <span class="clear-badge">CLEAR</span></h4>
-                    <p>Rainfall: 0.0mm/hr | Temperature: ${zone.temperature}°C | Sources: ${zone.sources}</p>
-                </div>
-            `).join('')}
-            
-            <div class="footer">
-                <h3>🎯 Data Accuracy Guarantee</h3>
-                <p><strong>Multi-API Cross-Validation System</strong></p>
-                <p>Sources: OpenWeatherMap, WeatherAPI.com, Open-Meteo</p>
-                <p>Only alerts when rainfall is actually detected by multiple sources</p>
-            </div>
-        </div>
-    </body>
-    </html>`;
+function exportFileName(kind, from, to) {
+    return `${kind}-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}`;
 }
 
-// TEST ENDPOINTS
-app.get('/test-telegram', async (req, res) => {
-    try {
-        const sampleZone = weatherData['Colaba'] || { rainfall: 0, temperature: 29, description: 'clear', sources: 'Multi-API' };
-        
-        const testMessage = `🧪 ACCURATE WEATHER TEST - Mumbai Monitor
-📅 ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}
-
-🌟 REAL VALIDATED WEATHER DATA:
+app.get('/api/export/readings', async (req, res) => {
+    const query = parseExportQuery(req, res);
+    if (!query) return;
 
-📍 Colaba Status:
-Rainfall: ${sampleZone.rainfall.toFixed(2)}mm/hr (${sampleZone.intensity})
-🌡️ Temperature: ${sampleZone.temperature}°C  
-☁️ Condition: ${sampleZone.description}
-📊 Sources: ${sampleZone.sources}
-✅ Validation: ${sampleZone.validation || 'Cross-checked'}
+    try {
+        await streamExport(req, res, {
+            name: exportFileName('readings', query.from, query.to),
+            records: readZoneReadings(query),
+            columns: READING_EXPORT_COLUMNS,
+            toCsvRow: exportReadingRow
+        });
+    } catch (error) {
+        log(`Readings export failed: ${error.message}`, 'ERROR');
+        if (!res.headersSent) res.status(500).json({ success: false, error: error.message });
+        else res.destroy(error);
+    }
+});
 
-📊 CURRENT MUMBAI STATUS:
-${Object.values(weatherData).slice(0, 5).map(zone => {
-    const icon = zone.rainfall >= 1 ? '🌧️' : '☀️';
-    return `${icon} ${zone.zone}: ${zone.rainfall.toFixed(1)}mm/hr (${zone.intensity})`;
-}).join('\n')}
+async function* readAlertRecords({ zones, from, to }) {
+    for await (const alert of readJSONLines(ALERTS_FILE)) {
+        const time = new Date(alert.timestamp).getTime();
+        if (time < from.getTime() || time > to.getTime()) continue;
+        if (zones && !zones.includes(alert.zone)) continue;
+        yield alert;
+    }
+}
 
-✅ This shows REAL weather validated by multiple APIs!
-🎯 Accuracy: Cross-validated for maximum precision`;
+app.get('/api/export/alerts', async (req, res) => {
+    const query = parseExportQuery(req, res);
+    if (!query) return;
 
-        const result = await sendTelegramMessage(testMessage);
-        
-        res.json({ 
-            success: result.success, 
-            message: result.success ? 'Accurate weather test sent!' : 'Failed to send',
-            error: result.error || null,
-            currentWeather: sampleZone
+    try {
+        await streamExport(req, res, {
+            name: exportFileName('alerts', query.from, query.to),
+            records: readAlertRecords(query),
+            columns: ALERT_EXPORT_COLUMNS
         });
     } catch (error) {
-        res.json({ 
-            success: false, 
-            error: error.message 
-        });
+        log(`Alerts export failed: ${error.message}`, 'ERROR');
+        if (!res.headersSent) res.status(500).json({ success: false, error: error.message });
+        else res.destroy(error);
     }
 });
 
-app.get('/test-email', async (req, res) => {
+// Digest reports
+app.get('/api/digests', (req, res) => {
+    res.json({
+        success: true,
+        time: config.DIGEST_TIME,
+        weeklyDay: config.DIGEST_WEEKLY_DAY,
+        schedule: getDigestSchedule()
+    });
+});
+
+// Builds the digest for the period ending now without sending it
+app.get('/api/digests/:period/preview', async (req, res) => {
+    const { period } = req.params;
+    if (!DIGEST_PERIODS[period]) {
+        return res.status(400).json({ success: false, error: `period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}` });
+    }
+    if (req.query.lang && !LANGUAGES.includes(req.query.lang)) {
+        return res.status(400).json({ success: false, error: `lang must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    const language = req.query.lang || config.DEFAULT_LANGUAGE;
+
     try {
-        const testHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
-                .container { max-width: 700px; margin: 0 auto; background: white; padding: 40px; border-radius: 15px; }
-                .header { background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white; padding: 40px; border-radius: 15px; text-align: center; }
-                .success-badge { background: #007bff; color: white; padding: 10px 20px; border-radius: 25px; margin: 15px 0; display: inline-block; }
-                .weather-box { background: #e7f3ff; padding: 25px; border-radius: 10px; margin: 20px 0; border-left: 5px solid #007bff; }
-                .status-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 20px 0; }
-                .status-card { background: #f8f9fa; padding: 15px; border-radius: 8px; text-align: center; }
-                .footer { background: #28a745; color: white; padding: 20px; border-radius: 10px; text-align: center; margin-top: 30px; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>🧪 EMAIL TEST - Mumbai Rain Monitor</h1>
-                    <div class="success-badge">✅ FIXED EMAIL SYSTEM</div>
-                </div>
-                
-                <div class="weather-box">
-                    <h3>📍 Current Mumbai Weather (Validated)</h3>
-                    <div class="status-grid">
-                        ${Object.values(weatherData).slice(0, 4).map(zone => `
-                            <div class="status-card">
-                                <strong>${zone.zone}</strong><br>
-                                ${zone.rainfall.toFixed(1)}mm/hr<br>
-                                <small>${zone.intensity}</small>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-                
-                <div class="footer">
-                    <h3>✅ Email System Working!</h3>
-                    <p>You will now receive accurate weather alerts</p>
-                </div>
-            </div>
-        </body>
-        </html>`;
+        const summary = summarizeDigest(await buildDigest(period));
+        if (req.query.format === 'html') return res.type('html').send(generateDigestHTMLReport(summary, language));
+        if (req.query.format === 'text') return res.type('text').send(buildDigestMessage(summary, language));
+        res.json({ success: true, digest: summary });
+    } catch (error) {
+        log(`Digest preview failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const result = await sendEmailAlert('🧪 FIXED - Mumbai Rain Monitor Email Test', testHtml);
-        
-        res.json({ 
-            success: result.success, 
-            message: result.success ? 'Fixed email test sent!' : 'Email still failing',
-            error: result.error || null,
-            details: result.details || null,
-            weatherDataLoaded: Object.keys(weatherData).length > 0
-        });
+app.post('/api/digests/:period/send', requireRole('operator', 'digests.send'), async (req, res) => {
+    const { period } = req.params;
+    if (!DIGEST_PERIODS[period]) {
+        return res.status(400).json({ success: false, error: `period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}` });
+    }
+
+    try {
+        const result = await sendDigest(period);
+        res.json({ success: true, ...result });
     } catch (error) {
-        res.json({ 
-            success: false, 
-            error: error.message 
-        });
+        log(`Digest send failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// API Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'), (err) => {
-        if (err) {
-            res.json({
-                message: '🌧️ Mumbai Rain Monitor - ACCURATE Weather System',
-                status: 'running',
-                features: [
-                    'Cross-validated weather data',
-                    'Only alerts for REAL rain (≥1mm)',
-                    'Fixed email system',
-                    'Multi-API accuracy verification'
-                ],
-                currentWeather: Object.keys(weatherData).length > 0 ? 'Real data loaded' : 'Loading...'
-            });
-        }
-    });
+// Template management
+app.get('/api/templates', requireRole('operator'), (req, res) => {
+    res.json({ success: true, templates: Object.keys(TEMPLATE_DEFINITIONS).map(id => serialiseTemplate(id)) });
 });
 
-app.get('/api/status', (req, res) => {
-    const activeAPIs = [];
-    if (config.OPENWEATHER_API_KEY) activeAPIs.push('OpenWeatherMap');
-    if (config.WEATHERAPI_KEY) activeAPIs.push('WeatherAPI.com');
-    activeAPIs.push('Open-Meteo (FREE)');
-    
-    res.json({
-        success: true,
-        status: {
-            monitoring: isMonitoringActive,
-            season: isMonitoringSeason(),
-            zonesCount: MUMBAI_ZONES.length,
-            lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
-            alertCount: alertHistory.length,
-            weatherSources: activeAPIs,
-            dataAccuracy: 'Cross-Validated Multi-API',
-            configStatus: {
-                weatherAPIs: activeAPIs.length,
-                telegram: !!(config.TELEGRAM_BOT_TOKEN && config.TELEGRAM_CHAT_ID),
-                email: !!(config.EMAIL_FROM && config.EMAIL_TO && config.EMAIL_PASS)
-            }
-        },
-        testEndpoints: {
-            testTelegram: '/test-telegram',
-            testEmail: '/test-email'
-        }
-    });
+// Includes the names a template can use, read off the sample context
+app.get('/api/templates/:id', requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+    if (!TEMPLATE_DEFINITIONS[id]) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const context = await buildTemplatePreviewContext(id, { data: 'sample' });
+    res.json({ success: true, template: serialiseTemplate(id, true), fields: listTemplateFields({ ...context, t: null }) });
 });
 
-app.get('/api/weather', (req, res) => {
-    res.json({
-        success: true,
-        data: weatherData,
-        lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
-        zonesCount: Object.keys(weatherData).length,
-        dataType: 'Cross-Validated Accurate Weather Data',
-        accuracy: 'High - Multi-API verification prevents false readings'
-    });
+app.put('/api/templates/:id', requireRole('admin', 'templates.update'), (req, res) => {
+    const { id } = req.params;
+    if (!TEMPLATE_DEFINITIONS[id]) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const { source } = req.body || {};
+    const error = validateTemplateSource(source);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    templateOverrides[id] = { source, updatedAt: new Date().toISOString(), updatedBy: req.auth.name };
+    parsedTemplates.delete(id);
+    saveTemplates();
+    log(`📝 Template ${id} updated by ${req.auth.name}`);
+    res.json({ success: true, template: serialiseTemplate(id, true) });
 });
 
-app.get('/api/alerts', (req, res) => {
+// Goes back to the built-in template
+app.delete('/api/templates/:id', requireRole('admin', 'templates.reset'), (req, res) => {
+    const { id } = req.params;
+    if (!TEMPLATE_DEFINITIONS[id]) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    delete templateOverrides[id];
+    parsedTemplates.delete(id);
+    saveTemplates();
+    log(`📝 Template ${id} reset to the default by ${req.auth.name}`);
+    res.json({ success: true, template: serialiseTemplate(id, true) });
+});
+
+// Renders the saved template, or an unsaved `source`, without sending anything
+app.post('/api/templates/:id/preview', requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+    if (!TEMPLATE_DEFINITIONS[id]) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const { source, language = config.DEFAULT_LANGUAGE, data = 'current', period = 'daily' } = req.body || {};
+    let invalid = source !== undefined ? validateTemplateSource(source) : null;
+    if (!LANGUAGES.includes(language)) invalid = `language must be one of: ${LANGUAGES.join(', ')}`;
+    if (!['current', 'sample'].includes(data)) invalid = 'data must be "current" or "sample"';
+    if (!DIGEST_PERIODS[period]) invalid = `period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}`;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    try {
+        const { format } = TEMPLATE_DEFINITIONS[id];
+        const context = await buildTemplatePreviewContext(id, { language, data, period });
+        const rendered = source !== undefined
+            ? renderTemplate(parseTemplate(source), context, format)
+            : renderNamedTemplate(id, context);
+        if (req.query.format === 'raw') return res.type(format === 'html' ? 'html' : 'text').send(rendered);
+        res.json({ success: true, id, format, language, data, rendered });
+    } catch (error) {
+        log(`Template preview failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Operating mode
+app.get('/api/mode', (req, res) => {
     res.json({
         success: true,
-        alerts: alertHistory.slice(0, 50),
-        totalAlerts: alertHistory.length,
-        alertType: 'Only verified rain events ≥1mm'
+        mode: describeMode(),
+        override: modeState.override,
+        calendar: modeState.calendar,
+        modes: MODE_IDS.map(id => ({ id, label: MODE_LABELS[id], ...getModeSettings(id) }))
     });
 });
 
-app.post('/api/start', async (req, res) => {
-    if (!isMonitoringSeason()) {
-        return res.json({
-            success: false,
-            message: 'Outside monitoring season (July-January)',
-            currentMonth: new Date().getMonth() + 1
-        });
+// { mode, until } or { mode, hours } sets an override; { mode: null } returns to the calendar
+app.post('/api/mode', requireRole('operator', 'mode.set'), (req, res) => {
+    const { mode = null, until, hours } = req.body || {};
+    let expiry = null;
+    if (hours !== undefined && hours !== null) {
+        if (!(parseFloat(hours) > 0)) return res.status(400).json({ success: false, error: 'hours must be a positive number' });
+        expiry = Date.now() + parseFloat(hours) * HOUR_MS;
+    } else if (until !== undefined && until !== null) {
+        const date = parseTimeParam(String(until), null);
+        if (!date) return res.status(400).json({ success: false, error: 'until must be an ISO date or epoch milliseconds' });
+        expiry = date.getTime();
     }
-    
+
+    const error = setModeOverride(mode, expiry, req.auth.name);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    res.json({ success: true, mode: describeMode() });
+});
+
+// Calendar ranges and per-mode cadences, thresholds and notification switch
+app.put('/api/modes', requireRole('admin', 'modes.update'), (req, res) => {
+    const { calendar, settings } = req.body || {};
+    const error = (calendar !== undefined && validateModeCalendar(calendar)) ||
+        (settings !== undefined && validateModeSettings(settings));
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    if (calendar !== undefined) modeState.calendar = calendar.map(({ mode, from, to }) => ({ mode, from, to }));
+    if (settings !== undefined) modeState.settings = settings;
+    saveModeState();
+    checkModeChange();
+    log(`🗓️ Operating modes updated by ${req.auth.name}`);
+    res.json({ success: true, mode: describeMode(), calendar: modeState.calendar, settings: modeState.settings });
+});
+
+// Monitoring control, shared by the REST routes and the Telegram bot
+async function startMonitoring() {
     isMonitoringActive = true;
+    saveMonitoringState();
+    broadcastEvent('monitoring', { active: true });
     log('🚀 Starting ACCURATE weather monitoring with cross-validation');
     
     try {
-        await updateAllZonesWeather();
-        res.json({
+        const zones = [...monitoredZones];
+        await updateZonesWeather(zones);
+        markZonesRun(zones);
+        scheduleNextRun();
+        return {
             success: true,
             message: 'Accurate weather monitoring started - Cross-validated data only',
-            zones: MUMBAI_ZONES.length,
+            zones: monitoredZones.length,
             dataAccuracy: 'Multi-API Cross-Validated',
             lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null
-        });
+        };
     } catch (error) {
         log(`Error starting monitoring: ${error.message}`, 'ERROR');
-        res.json({
+        return {
             success: false,
             error: error.message
-        });
+        };
     }
-});
+}
 
-app.post('/api/stop', (req, res) => {
+function stopMonitoring() {
     isMonitoringActive = false;
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+    saveMonitoringState();
+    broadcastEvent('monitoring', { active: false });
     log('⏹️ Accurate weather monitoring stopped');
     
-    res.json({
+    return {
         success: true,
         message: 'Weather monitoring stopped'
+    };
+}
+
+app.get('/api/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Every (re)connect starts from a full snapshot, so missed events don't matter
+    res.write('retry: 5000\n\n');
+    writeStreamEvent(res, streamEventId, 'snapshot', {
+        weather: weatherData,
+        monitoring: isMonitoringActive,
+        lastUpdate: lastRealDataUpdate ? lastRealDataUpdate.toISOString() : null,
+        lastUpdateAttempt: lastUpdateAttempt ? lastUpdateAttempt.toISOString() : null,
+        alerts: alertHistory.slice(0, 50).map(describeAlert)
     });
+
+    addStreamClient(res);
+    req.on('close', () => removeStreamClient(res));
+});
+
+app.post('/api/refresh', requireRole('operator', 'weather.refresh'), async (req, res) => {
+    let zones = [...monitoredZones];
+    if (req.query.zone) {
+        const zone = findZoneByName(String(req.query.zone));
+        if (!zone) {
+            return res.status(404).json({ success: false, error: `Unknown zone "${req.query.zone}"` });
+        }
+        zones = [zone];
+    }
+
+    try {
+        const updated = await updateZonesWeather(zones);
+        // A manual run counts as the zone's scheduled run
+        if (isMonitoringActive) {
+            markZonesRun(zones);
+            scheduleNextRun();
+        }
+        res.json({ success: true, zones: updated.length, data: updated });
+    } catch (error) {
+        log(`Manual refresh failed: ${error.message}`, 'ERROR');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/start', requireRole('operator', 'monitoring.start'), async (req, res) => {
+    res.json(await startMonitoring());
+});
+
+app.post('/api/stop', requireRole('operator', 'monitoring.stop'), (req, res) => {
+    res.json(stopMonitoring());
+});
+
+app.post('/telegram/webhook', (req, res) => {
+    if (config.TELEGRAM_BOT_MODE !== 'webhook') {
+        return res.status(404).json({ success: false, error: 'Telegram webhook mode is not enabled' });
+    }
+    if (!config.TELEGRAM_WEBHOOK_SECRET) {
+        return res.status(503).json({ success: false, error: 'TELEGRAM_WEBHOOK_SECRET is not set' });
+    }
+    const given = req.get('X-Telegram-Bot-Api-Secret-Token');
+    if (!given || !secretsMatch(given, config.TELEGRAM_WEBHOOK_SECRET)) {
+        return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+    }
+
+    // Acknowledge straight away so Telegram doesn't redeliver while we reply
+    res.json({ success: true });
+    handleTelegramUpdate(req.body || {});
 });
 
-app.get('/api/test', (req, res) => {
-    const activeAPIs = [];
-    if (config.OPENWEATHER_API_KEY) activeAPIs.push('OpenWeatherMap');
-    if (config.WEATHERAPI_KEY) activeAPIs.push('WeatherAPI.com');
-    activeAPIs.push('Open-Meteo');
+app.get('/api/test', requireRole('operator', 'test.system'), (req, res) => {
+    const activeAPIs = getEnabledProviders('current').map(provider => provider.name);
     
     res.json({
         success: true,
@@ -794,7 +6259,7 @@ app.get('/api/test', (req, res) => {
         activeAPIs: activeAPIs,
         dataAccuracy: 'Cross-Validated (Prevents false readings)',
         instructions: {
-            testAccurate: 'Visit /test-telegram or /test-email to test with real validated weather',
+            testAccurate: 'POST to /test-telegram or /test-email to send a test with real validated weather',
             startMonitoring: 'Start monitoring to get cross-validated weather data'
         }
     });
@@ -806,36 +6271,101 @@ async function initializeAccurateWeatherData() {
     await updateAllZonesWeather();
 }
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log('✅ Mumbai Rain Monitor with ACCURATE Cross-Validated Weather running on port', PORT);
-    console.log('🎯 Data Accuracy: Multi-API cross-validation prevents false readings');
-    console.log('📧 Email System: Fixed nodemailer import issue');
-    console.log('🌧️ Rain Alerts: Only for VERIFIED rainfall ≥1mm');
-    console.log('🧪 Test: /test-telegram, /test-email');
-    
-    // Initialize accurate weather data
-    setTimeout(initializeAccurateWeatherData, 3000);
-    
-    log('Accurate cross-validated weather system started');
-});
+// Reads everything kept in DATA_DIR back into memory. startServer() runs this before
+// the bot and the schedulers start; the tests run it against a scratch DATA_DIR.
+async function loadState() {
+    loadZones();
+    loadCustomProviders();
+    await loadAlertHistory();
+    loadAlertStates();
+    loadTemplates();
+    loadChannels();
+    loadSubscribers();
+    loadOutbox();
+    loadForecastWarningState();
+    loadSourceReliability();
+    loadProviderUsage();
+    loadTideTable();
+    loadModeState();
+    await loadRainSamples();
+    await pruneHistory();
+}
 
-// Automatic accurate updates every 30 minutes
-setInterval(async () => {
-    if (isMonitoringActive && isMonitoringSeason()) {
-        log('⏰ Performing scheduled accurate weather cross-validation...');
-        await updateAllZonesWeather();
-    }
-}, 30 * 60 * 1000);
+// Start server. Requiring server.js only defines things, so the tests can load the
+// parts they check; the server starts when the file is run directly.
+function startServer() {
+    const server = app.listen(PORT, '0.0.0.0', async () => {
+        console.log('✅ Mumbai Rain Monitor with ACCURATE Cross-Validated Weather running on port', PORT);
+        console.log('🎯 Data Accuracy: Multi-API cross-validation prevents false readings');
+        console.log('📧 Email System: Fixed nodemailer import issue');
+        console.log(`🌧️ Rain Alerts: On state changes only (onset at the operating mode's raining threshold, ${config.ALERT_COOLDOWN_MINUTES}min cooldown)`);
+        console.log('🧪 Test: POST /test-telegram, POST /test-email');
+        if (apiKeys.length === 0 && authUsers.length === 0) {
+            log('🔐 No API_KEYS or AUTH_USERS configured - control, test and admin routes will refuse every request', 'WARNING');
+        }
 
-server.on('error', (err) => {
-    console.error('❌ Server error:', err.message);
-});
+        await loadState();
+        startTelegramBot();
+        startDigestScheduler();
+        scheduleOutbox();
+
+        // Pick monitoring back up if it was on before the restart; otherwise take one
+        // reading so the dashboard has something to show
+        if (loadMonitoringState()) {
+            log('🔁 Monitoring was active before the restart - resuming');
+            setTimeout(async () => {
+                const result = await startMonitoring();
+                if (!result.success) log(`Could not resume monitoring: ${result.message || result.error}`, 'WARNING');
+            }, 3000);
+        } else {
+            setTimeout(initializeAccurateWeatherData, 3000);
+        }
+
+        log('Accurate cross-validated weather system started');
+    });
 
-process.on('SIGTERM', () => {
-    log('📤 Shutting down accurate weather system...');
-    server.close(() => {
-        log('✅ Server closed');
-        process.exit(0);
+    // Drop history files past the retention window once a day
+    setInterval(pruneHistory, DAY_MS);
+
+    server.on('error', (err) => {
+        console.error('❌ Server error:', err.message);
+    });
+
+    process.on('SIGTERM', () => {
+        log('📤 Shutting down accurate weather system...');
+        stopTelegramBot();
+        clearTimeout(schedulerTimer);
+        clearTimeout(digestTimer);
+        clearTimeout(outboxTimer);
+        saveJSONFile(PROVIDER_USAGE_FILE, providerUsage);
+        closeStreamClients();
+        server.close(() => {
+            log('✅ Server closed');
+            process.exit(0);
+        });
     });
-});
\ No newline at end of file
+}
+
+if (require.main === module) startServer();
+
+module.exports = {
+    app,
+    config,
+    weatherProviders,
+    registerWeatherProvider,
+    fetchFromProvider,
+    getPipelineStatus,
+    deliverNotification,
+    decideTransition,
+    shouldNotifyTransition,
+    parseTemplate,
+    renderTemplate,
+    getRetryDelayMs,
+    queueNotification,
+    runOutbox,
+    loadOutbox,
+    saveOutbox,
+    loadState,
+    startTelegramBot,
+    stopTelegramBot
+};
@@ -0,0 +1,105 @@
+// The per-zone alert lifecycle, table by table: which transition a reading causes
+// (decideTransition) and whether that transition is sent out (shouldNotifyTransition).
+// The mode calendar is monsoon all year, so the levels start at 1, 7.5 and 35mm/hr.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDataDir } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-07-15T10:00:00Z');
+
+let server;
+
+before(async () => {
+    useScratchDataDir();
+    process.env.MODE_CALENDAR = 'monsoon:01-01:12-31';
+    server = require('../server');
+    await server.loadState();
+});
+
+function minutesAgo(minutes) {
+    return minutes === null ? null : new Date(NOW - minutes * MINUTE).toISOString();
+}
+
+function accumulation(mm24h) {
+    return { '24h': { mm: mm24h } };
+}
+
+test('decideTransition', async t => {
+    const cases = [
+        // Onset, at each level
+        { name: 'drizzle below the raining threshold', state: 'clear', rainfall: 0.4, expected: null },
+        { name: 'onset at the raining threshold', state: 'clear', rainfall: 1, expected: { type: 'onset', to: 'raining' } },
+        { name: 'onset straight into heavy rain', state: 'clear', rainfall: 8, expected: { type: 'onset', to: 'heavy' } },
+        { name: 'onset straight into very heavy rain', state: 'clear', rainfall: 40, expected: { type: 'onset', to: 'very_heavy' } },
+        { name: 'a heavy 24h total makes moderate rain heavy', state: 'clear', rainfall: 2, accumulation: accumulation(70), expected: { type: 'onset', to: 'heavy' } },
+        { name: 'a very heavy 24h total makes moderate rain very heavy', state: 'clear', rainfall: 2, accumulation: accumulation(120), expected: { type: 'onset', to: 'very_heavy' } },
+        { name: 'a 24h total alone does not start an event', state: 'clear', rainfall: 0.2, accumulation: accumulation(120), expected: null },
+
+        // Escalation and steady rain
+        { name: 'raining to heavy', state: 'raining', rainfall: 8, expected: { type: 'escalation', to: 'heavy' } },
+        { name: 'heavy to very heavy', state: 'heavy', rainfall: 36, expected: { type: 'escalation', to: 'very_heavy' } },
+        { name: 'raining jumps to very heavy', state: 'raining', rainfall: 50, expected: { type: 'escalation', to: 'very_heavy' } },
+        { name: 'steady heavy rain', state: 'heavy', rainfall: 12, expected: null },
+
+        // Hysteresis: a level is only left 0.5mm/hr below its threshold
+        { name: 'heavy holds just under its threshold', state: 'heavy', rainfall: 7.2, expected: null },
+        { name: 'heavy holds at the hysteresis edge', state: 'heavy', rainfall: 7, expected: null },
+        { name: 'heavy drops once clearly below', state: 'heavy', rainfall: 6.9, expected: { type: 'de-escalation', to: 'raining' } },
+        { name: 'very heavy drops to heavy', state: 'very_heavy', rainfall: 20, expected: { type: 'de-escalation', to: 'heavy' } },
+        { name: 'raining holds just under its threshold', state: 'raining', rainfall: 0.6, expected: null },
+        { name: 'raining starts to subside', state: 'raining', rainfall: 0.4, expected: { type: 'subsiding', to: 'subsiding' } },
+        { name: 'very heavy rain stops at once', state: 'very_heavy', rainfall: 0, expected: { type: 'subsiding', to: 'subsiding' } },
+
+        // All-clear only after ALERT_ALL_CLEAR_MINUTES without rain
+        { name: 'subsiding for half an hour', state: 'subsiding', rainfall: 0, sinceMinutes: 30, expected: null },
+        { name: 'subsiding for an hour gives the all-clear', state: 'subsiding', rainfall: 0, sinceMinutes: 60, expected: { type: 'all-clear', to: 'clear' } },
+        { name: 'drizzle while subsiding does not resume', state: 'subsiding', rainfall: 0.7, sinceMinutes: 10, expected: null },
+        { name: 'rain resumes while subsiding', state: 'subsiding', rainfall: 1.2, sinceMinutes: 90, expected: { type: 'resumed', to: 'raining' } },
+        { name: 'heavy rain resumes while subsiding', state: 'subsiding', rainfall: 9, sinceMinutes: 10, expected: { type: 'resumed', to: 'heavy' } }
+    ];
+
+    for (const { name, state, rainfall, accumulation: zoneAccumulation = null, sinceMinutes = 0, expected } of cases) {
+        await t.test(name, () => {
+            const zoneState = { state, since: minutesAgo(sinceMinutes) };
+            const zone = { zone: 'Dadar', rainfall, accumulation: zoneAccumulation };
+            assert.deepEqual(server.decideTransition(zoneState, zone, NOW), expected);
+        });
+    }
+});
+
+test('shouldNotifyTransition', async t => {
+    const tide = { type: 'high', time: '2026-07-15T10:30:00.000Z', height: 4.8 };
+    const cases = [
+        // Transitions that never notify
+        { name: 'subsiding', transition: { type: 'subsiding', to: 'subsiding' }, lastLevel: 2, lastMinutes: 90, expected: { notify: false, reason: 'not a notifying transition' } },
+        { name: 'de-escalation', transition: { type: 'de-escalation', to: 'raining' }, lastLevel: 2, lastMinutes: 90, expected: { notify: false, reason: 'not a notifying transition' } },
+
+        // Onset and escalation
+        { name: 'first onset', transition: { type: 'onset', to: 'raining' }, lastLevel: 0, lastMinutes: null, expected: { notify: true } },
+        { name: 'escalation within the cooldown', transition: { type: 'escalation', to: 'heavy' }, lastLevel: 1, lastMinutes: 5, expected: { notify: true } },
+        { name: 'resumed heavier than the last alert', transition: { type: 'resumed', to: 'heavy' }, lastLevel: 1, lastMinutes: 5, expected: { notify: true } },
+
+        // Cooldown: nothing at or below the last alerted level until it has passed
+        { name: 'resumed at the same level within the cooldown', transition: { type: 'resumed', to: 'raining' }, lastLevel: 1, lastMinutes: 20, expected: { notify: false, reason: 'cooldown (20/60 min)' } },
+        { name: 're-escalation to the alerted level', transition: { type: 'escalation', to: 'heavy' }, lastLevel: 2, lastMinutes: 30, expected: { notify: false, reason: 'cooldown (30/60 min)' } },
+        { name: 'resumed below the alerted level', transition: { type: 'resumed', to: 'raining' }, lastLevel: 3, lastMinutes: 59, expected: { notify: false, reason: 'cooldown (59/60 min)' } },
+        { name: 'resumed once the cooldown has passed', transition: { type: 'resumed', to: 'raining' }, lastLevel: 1, lastMinutes: 60, expected: { notify: true } },
+
+        // All-clear only follows an event someone was told about
+        { name: 'all-clear after an alert', transition: { type: 'all-clear', to: 'clear' }, lastLevel: 2, lastMinutes: 5, expected: { notify: true } },
+        { name: 'all-clear with no alert sent', transition: { type: 'all-clear', to: 'clear' }, lastLevel: 0, lastMinutes: null, expected: { notify: false, reason: 'no rain alert was sent for this event' } },
+
+        // A high tide goes out once per tide, even within the cooldown
+        { name: 'heavy rain meets a new high tide', transition: { type: 'high-tide', to: 'heavy', highTide: tide }, lastLevel: 2, lastMinutes: 10, expected: { notify: true } },
+        { name: 'the same high tide again', transition: { type: 'high-tide', to: 'heavy', highTide: tide }, lastLevel: 2, lastMinutes: 10, tideAlerted: tide.time, expected: { notify: false, reason: 'cooldown (10/60 min)' } },
+        { name: 'the next high tide', transition: { type: 'high-tide', to: 'heavy', highTide: tide }, lastLevel: 2, lastMinutes: 10, tideAlerted: '2026-07-14T22:10:00.000Z', expected: { notify: true } }
+    ];
+
+    for (const { name, transition, lastLevel, lastMinutes, tideAlerted, expected } of cases) {
+        await t.test(name, () => {
+            const zoneState = { lastNotifiedLevel: lastLevel, lastNotifiedAt: minutesAgo(lastMinutes), highTideAlerted: tideAlerted };
+            assert.deepEqual(server.shouldNotifyTransition(zoneState, transition, NOW), expected);
+        });
+    }
+});
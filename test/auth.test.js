@@ -0,0 +1,69 @@
+// Login lockout behind a proxy: failures are counted per username and client address,
+// with the address taken from X-Forwarded-For because TRUST_PROXY is set. Also checks
+// that the routes that send test messages can't be triggered by a plain GET.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDataDir, startApp, waitFor } = require('./helpers');
+
+let app;
+let dataDir;
+
+function login(username, password, clientIp) {
+    return fetch(`${app.url}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': clientIp },
+        body: JSON.stringify({ username, password })
+    });
+}
+
+before(async () => {
+    dataDir = useScratchDataDir();
+    process.env.TRUST_PROXY = 'true';
+    process.env.AUTH_USERS = 'alice:operator:alice-pass,bob:admin:bob-pass';
+    app = await startApp(require('../server').app);
+});
+
+after(() => app.close());
+
+test('ten bad passwords lock out that username from that address only', async () => {
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await login('alice', 'guess', '203.0.113.5')).status, 401);
+    }
+    // Even the right password is refused now
+    assert.equal((await login('alice', 'alice-pass', '203.0.113.5')).status, 429);
+
+    // Everyone else behind the same proxy, and alice elsewhere, can still sign in
+    assert.equal((await login('bob', 'bob-pass', '203.0.113.5')).status, 200);
+    assert.equal((await login('bob', 'bob-pass', '198.51.100.7')).status, 200);
+    assert.equal((await login('alice', 'alice-pass', '198.51.100.7')).status, 200);
+});
+
+test('the audit trail records the client address, not the proxy\'s', async () => {
+    const entries = await waitFor(() => {
+        const file = path.join(dataDir, 'audit.jsonl');
+        if (!fs.existsSync(file)) return null;
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        return lines.length >= 13 && lines;
+    });
+
+    const denied = entries.filter(entry => entry.outcome === 'denied');
+    assert.equal(denied.length, 10);
+    denied.forEach(entry => assert.deepEqual([entry.actor, entry.ip], ['alice', '203.0.113.5']));
+    assert.deepEqual(entries.filter(entry => entry.outcome === 'ok').map(entry => [entry.actor, entry.ip]), [
+        ['bob', '203.0.113.5'],
+        ['bob', '198.51.100.7'],
+        ['alice', '198.51.100.7']
+    ]);
+});
+
+test('the test-message routes only answer POST', async () => {
+    const { token } = await (await login('bob', 'bob-pass', '198.51.100.7')).json();
+    const headers = { Authorization: `Bearer ${token}` };
+
+    for (const route of ['/test-telegram', '/test-email']) {
+        assert.equal((await fetch(`${app.url}${route}`, { headers })).status, 404);
+        assert.notEqual((await fetch(`${app.url}${route}`, { method: 'POST', headers })).status, 404);
+    }
+});
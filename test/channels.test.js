@@ -0,0 +1,165 @@
+// Sends notifications through the webhook, Slack/Mattermost and SMS channel plugins
+// to a local stand-in and checks what arrives, including how failures are reported.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useScratchDataDir, startStandIn } = require('./helpers');
+
+let server;
+let receiver;
+
+const notification = {
+    kind: 'rain-alert',
+    subject: '🌧️ Rain alert: 1 zone',
+    text: 'Dadar: 12.4mm/hr <Heavy> & rising',
+    html: '<p>Dadar</p>',
+    shortText: 'Rain: Dadar 12.4mm/hr (Heavy)',
+    data: { alerts: [{ zone: 'Dadar', rainfall: 12.4, type: 'onset' }] }
+};
+
+function deliver(type, settings, message = notification) {
+    return server.deliverNotification({ id: type, type, settings }, message);
+}
+
+before(async () => {
+    receiver = await startStandIn(request => {
+        if (request.path === '/error') return { status: 500, body: { error: 'gateway down' } };
+        if (request.path === '/rejected') return { status: 400, body: { error: 'bad request' } };
+        if (request.path === '/throttled') return { status: 429 };
+        if (request.path === '/slow') return { delayMs: 1000 };
+        if (request.path === '/sms' && (request.json ? request.json.to : '') === '+919800000002') return { status: 503 };
+        return { body: { ok: true } };
+    });
+
+    useScratchDataDir();
+    process.env.CHANNEL_TIMEOUT_SECONDS = '0.3';
+    server = require('../server');
+});
+
+after(() => receiver.close());
+
+function lastRequest() {
+    return receiver.requests[receiver.requests.length - 1];
+}
+
+test('webhook posts the notification as JSON with an HMAC signature', async () => {
+    const result = await deliver('webhook', { url: `${receiver.url}/hook`, secret: 'webhook-secret' });
+    assert.equal(result.success, true);
+    assert.equal(result.status, 200);
+
+    const request = lastRequest();
+    assert.equal(request.method, 'POST');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-rain-event'], 'rain-alert');
+    assert.deepEqual(Object.keys(request.json), ['event', 'subject', 'text', 'data', 'sentAt']);
+    assert.equal(request.json.event, 'rain-alert');
+    assert.equal(request.json.subject, notification.subject);
+    assert.equal(request.json.text, notification.text);
+    assert.deepEqual(request.json.data, notification.data);
+    assert.ok(Math.abs(new Date(request.json.sentAt).getTime() - Date.now()) < 5000);
+
+    // Recompute the signature the way a receiver would, over the raw bytes received
+    const timestamp = request.headers['x-rain-timestamp'];
+    assert.match(timestamp, /^\d+$/);
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${timestamp}.${request.raw}`).digest('hex');
+    assert.equal(request.headers['x-rain-signature'], `sha256=${expected}`);
+});
+
+test('webhook without a secret is sent unsigned', async () => {
+    const result = await deliver('webhook', { url: `${receiver.url}/hook` });
+    assert.equal(result.success, true);
+    assert.equal(lastRequest().headers['x-rain-signature'], undefined);
+    assert.match(lastRequest().headers['x-rain-timestamp'], /^\d+$/);
+});
+
+test('slack posts an escaped incoming-webhook message', async () => {
+    const result = await deliver('slack', { url: `${receiver.url}/slack`, channel: '#flood-ops', username: 'Flood ops' });
+    assert.equal(result.success, true);
+    assert.deepEqual(lastRequest().json, {
+        text: '*🌧️ Rain alert: 1 zone*\nDadar: 12.4mm/hr &lt;Heavy&gt; &amp; rising',
+        username: 'Flood ops',
+        icon_emoji: ':cloud_with_rain:',
+        channel: '#flood-ops'
+    });
+
+    await deliver('slack', { url: `${receiver.url}/slack` });
+    assert.equal(lastRequest().json.username, 'Mumbai Rain Monitor');
+    assert.equal('channel' in lastRequest().json, false);
+});
+
+test('sms sends one JSON request per number with the short text', async () => {
+    const sentBefore = receiver.requests.length;
+    const result = await deliver('sms', {
+        url: `${receiver.url}/sms`,
+        to: '+919800000001, +919800000003',
+        token: 'sms-token',
+        sender: 'RAINMB'
+    });
+    assert.deepEqual(result, { success: true, sent: 2 });
+
+    const requests = receiver.requests.slice(sentBefore);
+    assert.deepEqual(requests.map(request => request.json), [
+        { to: '+919800000001', message: notification.shortText, sender: 'RAINMB' },
+        { to: '+919800000003', message: notification.shortText, sender: 'RAINMB' }
+    ]);
+    requests.forEach(request => {
+        assert.equal(request.headers.authorization, 'Bearer sms-token');
+        assert.equal(request.headers['content-type'], 'application/json');
+    });
+});
+
+test('sms form encoding renames the fields and cuts the message to maxLength', async () => {
+    const result = await deliver('sms', {
+        url: `${receiver.url}/sms-form`,
+        to: ['+919800000001'],
+        encoding: 'form',
+        toField: 'msisdn',
+        messageField: 'body',
+        maxLength: '20'
+    });
+    assert.equal(result.success, true);
+
+    const request = lastRequest();
+    assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+    assert.equal(request.headers.authorization, undefined);
+    const fields = Object.fromEntries(new URLSearchParams(request.raw));
+    assert.deepEqual(fields, { msisdn: '+919800000001', body: 'Rain: Dadar 12.4mm/…' });
+    assert.equal(fields.body.length, 20);
+});
+
+test('sms reports the numbers that failed', async () => {
+    const result = await deliver('sms', { url: `${receiver.url}/sms`, to: '+919800000001,+919800000002' });
+    assert.equal(result.success, false);
+    assert.equal(result.sent, 1);
+    assert.match(result.error, /^1\/2 messages failed: Request failed with status code 503$/);
+});
+
+test('a 5xx or 429 response is a failure worth retrying', async () => {
+    for (const [path, status] of [['/error', 500], ['/throttled', 429]]) {
+        const result = await deliver('webhook', { url: `${receiver.url}${path}` });
+        assert.equal(result.success, false);
+        assert.equal(result.status, status);
+        assert.equal(result.permanent, false);
+        assert.equal(result.error, `Request failed with status code ${status}`);
+    }
+});
+
+test('any other 4xx response is permanent', async () => {
+    const result = await deliver('slack', { url: `${receiver.url}/rejected` });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 400);
+    assert.equal(result.permanent, true);
+});
+
+test('a receiver that answers too slowly times out after CHANNEL_TIMEOUT_SECONDS', async () => {
+    const startedAt = Date.now();
+    const result = await deliver('webhook', { url: `${receiver.url}/slow` });
+    const elapsed = Date.now() - startedAt;
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, undefined);
+    assert.equal(result.permanent, false);
+    assert.match(result.error, /timeout of 300ms exceeded/);
+    assert.ok(elapsed >= 250 && elapsed < 900, `gave up after ${elapsed}ms`);
+});
@@ -0,0 +1,165 @@
+// The fetch pipeline in front of every weather provider: the response cache, the
+// concurrency limit, daily budgets and the circuit breaker. Each test registers its
+// own fake provider, so the pipelines don't share state, and points it at a stand-in.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDataDir, startStandIn, waitFor } = require('./helpers');
+
+let server;
+let weatherApi;
+let inFlight = 0;
+let maxInFlight = 0;
+const failing = new Set();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function fakeProvider(id, rateLimits = {}) {
+    server.registerWeatherProvider({
+        id,
+        name: `Fake ${id}`,
+        rateLimits,
+        currentUrl: zone => `${weatherApi.url}/${id}?lat=${zone.lat}&lon=${zone.lon}`,
+        parseCurrent: data => data
+    });
+    return server.weatherProviders.get(id);
+}
+
+// Distinct coordinates give distinct URLs, so nothing comes from the cache
+function zone(i) {
+    return { name: `Zone ${i}`, lat: 19 + i / 10, lon: 72.8 };
+}
+
+function requestsTo(id) {
+    return weatherApi.requests.filter(request => request.path === `/${id}`).length;
+}
+
+before(async () => {
+    weatherApi = await startStandIn(async request => {
+        if (failing.has(request.path)) return { status: 500 };
+        if (request.path === '/limited') {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await sleep(100);
+            inFlight--;
+        }
+        return { body: { rainfall: 3.2, temperature: 28 } };
+    });
+
+    useScratchDataDir();
+    Object.assign(process.env, {
+        PROVIDER_DAILY_BUDGETS: 'budgeted:3',
+        BREAKER_FAILURE_THRESHOLD: '3',
+        // 300ms, so the tests can wait out a pause
+        BREAKER_COOLDOWN_MINUTES: '0.005'
+    });
+    server = require('../server');
+});
+
+after(() => weatherApi.close());
+
+test('zones that round to the same coordinates share one cached request', async () => {
+    const provider = fakeProvider('cached');
+    const dadar = { name: 'Dadar', lat: 19.0176, lon: 72.8478 };
+    const nearby = { name: 'Nearby', lat: 19.0214, lon: 72.8512 };
+
+    assert.deepEqual(await server.fetchFromProvider(provider, 'current', dadar), { rainfall: 3.2, temperature: 28 });
+    assert.deepEqual(await server.fetchFromProvider(provider, 'current', nearby), { rainfall: 3.2, temperature: 28 });
+    assert.deepEqual(weatherApi.requests.filter(request => request.path === '/cached').map(request => request.query), [
+        { lat: '19.02', lon: '72.85' }
+    ]);
+
+    // Callers asking while the request is still out wait for it instead of sending another
+    await Promise.all([zone(1), zone(1), zone(1)].map(z => server.fetchFromProvider(provider, 'current', z)));
+    assert.equal(requestsTo('cached'), 2);
+
+    const status = server.getPipelineStatus(provider);
+    assert.equal(status.cacheHits, 3);
+    assert.equal(status.requestsToday, 2);
+});
+
+test('an expired response is fetched again', async () => {
+    const provider = fakeProvider('uncached');
+    server.config.FETCH_CACHE_TTL_SECONDS = 0;
+    try {
+        await server.fetchFromProvider(provider, 'current', zone(1));
+        await sleep(5);
+        await server.fetchFromProvider(provider, 'current', zone(1));
+    } finally {
+        server.config.FETCH_CACHE_TTL_SECONDS = 240;
+    }
+    assert.equal(requestsTo('uncached'), 2);
+    assert.equal(server.getPipelineStatus(provider).cacheHits, 0);
+});
+
+test('no more than rateLimits.concurrency requests are in flight; the rest queue', async () => {
+    const provider = fakeProvider('limited', { concurrency: 2 });
+    const fetches = [1, 2, 3, 4, 5, 6].map(i => server.fetchFromProvider(provider, 'current', zone(i)));
+
+    const queued = await waitFor(() => {
+        const status = server.getPipelineStatus(provider);
+        return status.active === 2 && status.queued > 0 && status;
+    });
+    assert.equal(queued.concurrency, 2);
+    assert.ok(queued.queued <= 4);
+
+    const results = await Promise.all(fetches);
+    assert.equal(results.filter(Boolean).length, 6);
+    assert.equal(maxInFlight, 2);
+    assert.equal(requestsTo('limited'), 6);
+    assert.deepEqual([server.getPipelineStatus(provider).active, server.getPipelineStatus(provider).queued], [0, 0]);
+});
+
+test('a provider is skipped once its daily budget is used up', async () => {
+    const provider = fakeProvider('budgeted');
+    const results = [];
+    for (let i = 1; i <= 5; i++) results.push(await server.fetchFromProvider(provider, 'current', zone(i)));
+
+    assert.deepEqual(results.map(Boolean), [true, true, true, false, false]);
+    assert.equal(requestsTo('budgeted'), 3);
+    const status = server.getPipelineStatus(provider);
+    assert.equal(status.dailyBudget, 3);
+    assert.equal(status.requestsToday, 3);
+    assert.deepEqual(status.skipped, { budget: 2, breaker: 0 });
+
+    // Cached responses cost nothing, so they are still served
+    assert.ok(await server.fetchFromProvider(provider, 'current', zone(1)));
+
+    // Without PROVIDER_DAILY_BUDGETS the budget is PROVIDER_BUDGET_FRACTION of rateLimits.perDay
+    assert.equal(server.getPipelineStatus(fakeProvider('published', { perDay: 1000 })).dailyBudget, 900);
+    assert.equal(server.getPipelineStatus(fakeProvider('unlimited')).dailyBudget, null);
+});
+
+test('failures in a row open the breaker, which half-opens for one trial request', async () => {
+    const provider = fakeProvider('flaky');
+    failing.add('/flaky');
+
+    for (let i = 1; i <= 3; i++) assert.equal(await server.fetchFromProvider(provider, 'current', zone(i)), null);
+    let status = server.getPipelineStatus(provider);
+    assert.equal(status.breaker, 'open');
+    assert.equal(status.consecutiveFailures, 3);
+    assert.ok(new Date(status.pausedUntil) > Date.now());
+
+    // While open, nothing is sent
+    assert.equal(await server.fetchFromProvider(provider, 'current', zone(4)), null);
+    assert.equal(requestsTo('flaky'), 3);
+    assert.equal(server.getPipelineStatus(provider).skipped.breaker, 1);
+
+    // After the cooldown a single trial goes out; a failed trial opens it again at once
+    await waitFor(() => server.getPipelineStatus(provider).breaker === 'half-open');
+    const trial = await Promise.all([zone(5), zone(6)].map(z => server.fetchFromProvider(provider, 'current', z)));
+    assert.deepEqual(trial, [null, null]);
+    assert.equal(requestsTo('flaky'), 4);
+    status = server.getPipelineStatus(provider);
+    assert.equal(status.breaker, 'open');
+    assert.equal(status.consecutiveFailures, 4);
+    assert.equal(status.skipped.breaker, 2);
+
+    // A successful trial closes it
+    failing.delete('/flaky');
+    await waitFor(() => server.getPipelineStatus(provider).breaker === 'half-open');
+    assert.ok(await server.fetchFromProvider(provider, 'current', zone(7)));
+    status = server.getPipelineStatus(provider);
+    assert.equal(status.breaker, 'closed');
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.pausedUntil, null);
+});
@@ -0,0 +1,85 @@
+// Shared by the test files: a scratch DATA_DIR, local HTTP stand-ins for the services
+// the server calls out to, and a way to call the app itself over HTTP.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Must run before server.js is required - config is read once, at load
+function useScratchDataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rain-monitor-test-'));
+    process.env.DATA_DIR = dir;
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        // Drop keep-alive and deliberately unanswered connections too
+        if (server.closeAllConnections) server.closeAllConnections();
+    });
+}
+
+// Records every request it gets. handler(request) may return { status, body, delayMs,
+// headers }; without one the stand-in answers 200 with {}. A string body is sent as-is.
+async function startStandIn(handler = () => null) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://stand-in');
+            let json = null;
+            try {
+                json = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                json = null;
+            }
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                raw,
+                json
+            };
+            requests.push(request);
+
+            const reply = (await handler(request)) || {};
+            if (reply.delayMs) await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+            if (res.destroyed) return;
+            const body = reply.body === undefined ? {} : reply.body;
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        });
+    });
+
+    const url = await listen(server);
+    return { url, requests, close: () => close(server) };
+}
+
+// Starts the Express app on a free port
+async function startApp(app) {
+    const server = http.createServer(app);
+    const url = await listen(server);
+    return { url, close: () => close(server) };
+}
+
+// Resolves once check() returns something truthy, polling every 20ms
+async function waitFor(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms waiting for ${check}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { useScratchDataDir, startStandIn, startApp, waitFor };
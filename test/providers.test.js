@@ -0,0 +1,78 @@
+// Runs each built-in adapter's parseCurrent() against provider responses kept in
+// test/fixtures. Rainfall must come through as the provider reported it: clouds,
+// sunny conditions and clear-sky weather codes no longer zero it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { weatherProviders } = require('../server');
+
+function parseFixture(providerId, name) {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${providerId}-current-${name}.json`), 'utf8'));
+    return weatherProviders.get(providerId).parseCurrent(data);
+}
+
+test('openweathermap: heavy rain', () => {
+    assert.deepEqual(parseFixture('openweathermap', 'rain'), {
+        rainfall: 18.6,
+        temperature: 26.42,
+        humidity: 94,
+        pressure: 1002,
+        windSpeed: 7.2,
+        cloudCover: 100,
+        description: 'heavy intensity rain',
+        weatherMain: 'Rain'
+    });
+});
+
+test('openweathermap: rain under broken clouds is kept', () => {
+    const reading = parseFixture('openweathermap', 'broken-clouds');
+    assert.equal(reading.rainfall, 0.42);
+    assert.equal(reading.cloudCover, 15);
+    assert.equal(reading.weatherMain, 'Clouds');
+});
+
+test('openweathermap: rain without a volume counts as 0.01mm', () => {
+    const reading = parseFixture('openweathermap', 'drizzle-no-volume');
+    assert.equal(reading.rainfall, 0.01);
+    assert.equal(reading.windSpeed, 0);
+});
+
+test('weatherapi: heavy rain', () => {
+    assert.deepEqual(parseFixture('weatherapi', 'rain'), {
+        rainfall: 14.2,
+        temperature: 26.3,
+        humidity: 94,
+        pressure: 1002,
+        windSpeed: 26.3 / 3.6,
+        cloudCover: 100,
+        description: 'moderate or heavy rain shower',
+        weatherMain: 'Moderate or heavy rain shower'
+    });
+});
+
+test('weatherapi: precipitation reported with a sunny condition is kept', () => {
+    const reading = parseFixture('weatherapi', 'sunny');
+    assert.equal(reading.rainfall, 0.3);
+    assert.equal(reading.weatherMain, 'Sunny');
+});
+
+test('open-meteo: heavy rain', () => {
+    assert.deepEqual(parseFixture('open-meteo', 'rain'), {
+        rainfall: 9.3,
+        temperature: 25.8,
+        humidity: 95,
+        pressure: 1002,
+        windSpeed: 6.4,
+        cloudCover: 100,
+        description: 'heavy rain',
+        weatherMain: 'heavy rain'
+    });
+});
+
+test('open-meteo: precipitation with a mainly clear weather code is kept', () => {
+    const reading = parseFixture('open-meteo', 'mainly-clear');
+    assert.equal(reading.rainfall, 0.2);
+    assert.equal(reading.description, 'mainly clear');
+});
@@ -0,0 +1,203 @@
+// Drives the Telegram bot against a local stand-in for the Bot API: updates are
+// handed out through getUpdates and the replies are read back from sendMessage.
+// The webhook route is checked at the end, with the bot switched to webhook mode.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchDataDir, startStandIn, startApp, waitFor } = require('./helpers');
+
+const ADMIN_ID = 42;
+const USER_ID = 7;
+const CHAT_ID = 100;
+
+let server;
+let botApi;
+let weatherApi;
+let app;
+let dataDir;
+const pendingUpdates = [];
+let nextUpdateId = 500;
+
+const isSend = request => request.path === '/bottest-token/sendMessage';
+
+// Queues a message for the next getUpdates and resolves to the bot's reply
+async function ask(text, { chat = CHAT_ID, from = USER_ID } = {}) {
+    const sentBefore = botApi.requests.filter(isSend).length;
+    const updateId = nextUpdateId++;
+    pendingUpdates.push({
+        update_id: updateId,
+        message: {
+            message_id: updateId,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: chat, type: 'private' },
+            from: { id: from, is_bot: false, first_name: 'Test' },
+            text
+        }
+    });
+
+    const reply = await waitFor(() => botApi.requests.filter(isSend).slice(sentBefore)
+        .find(request => String(request.json.chat_id) === String(chat)));
+    return reply.json.text;
+}
+
+function callApi(route, options = {}) {
+    return fetch(`${app.url}${route}`, { ...options, headers: { 'X-API-Key': 'test-key', ...options.headers } });
+}
+
+before(async () => {
+    botApi = await startStandIn(request => {
+        if (request.path === '/bottest-token/getUpdates') {
+            // A short wait instead of Telegram's long poll when there is nothing to hand out
+            if (pendingUpdates.length === 0) return { body: { ok: true, result: [] }, delayMs: 50 };
+            const result = pendingUpdates.splice(0);
+            request.returned = result.map(update => update.update_id);
+            return { body: { ok: true, result } };
+        }
+        return { body: { ok: true, result: true } };
+    });
+    weatherApi = await startStandIn(() => ({
+        body: { rainfall: 12.4, temperature: 27, humidity: 91, pressure: 1004, windSpeed: 5, cloudCover: 100, description: 'heavy rain', weatherMain: 'Rain' }
+    }));
+
+    dataDir = useScratchDataDir();
+    Object.assign(process.env, {
+        TELEGRAM_BOT_TOKEN: 'test-token',
+        TELEGRAM_BOT_MODE: 'polling',
+        TELEGRAM_API_BASE: botApi.url,
+        TELEGRAM_ADMIN_IDS: String(ADMIN_ID),
+        TELEGRAM_WEBHOOK_SECRET: 'hook-secret',
+        TELEGRAM_POLL_TIMEOUT: '1',
+        WEATHER_PROVIDERS: 'stand-in',
+        API_KEYS: 'tests:admin:test-key',
+        MODE_CALENDAR: 'monsoon:01-01:12-31',
+        COVERAGE_MIN_PROVIDERS: '1',
+        COVERAGE_MAX_ZONES_WITHOUT_DATA: '100'
+    });
+    server = require('../server');
+    server.registerWeatherProvider({
+        id: 'stand-in',
+        name: 'Stand-in',
+        currentUrl: zone => `${weatherApi.url}/current?lat=${zone.lat}&lon=${zone.lon}`,
+        parseCurrent: data => data
+    });
+    await server.loadState();
+    app = await startApp(server.app);
+
+    // Heavy rain in Dadar, and no reading anywhere else
+    const refresh = await callApi('/api/refresh?zone=Dadar', { method: 'POST' });
+    assert.equal(refresh.status, 200);
+
+    server.startTelegramBot();
+});
+
+after(async () => {
+    await server.stopTelegramBot();
+    await Promise.all([app.close(), botApi.close(), weatherApi.close()]);
+});
+
+test('/status lists the zones where it is raining', async () => {
+    const reply = await ask('/status');
+    assert.match(reply, /^🌧️ MUMBAI RAIN STATUS/);
+    assert.match(reply, /📡 Monitoring: ⏸️ Stopped/);
+    assert.match(reply, /📊 Zones with data: 1\/18/);
+    assert.match(reply, /🚨 RAINING IN 1 ZONE:\n📍 Dadar: 12\.4mm\/hr \(Heavy\)/);
+});
+
+test('/zone Dadar shows the latest reading and alert state', async () => {
+    const reply = await ask('/zone Dadar');
+    assert.match(reply, /^📍 Dadar\n🌧️ Rainfall: 12\.4mm\/hr \(Heavy\)/);
+    assert.match(reply, /🚦 Alert state: Heavy Rain/);
+    assert.match(reply, /📊 Sources: Stand-in/);
+});
+
+test('/zone with an unknown or missing zone replies with usage', async () => {
+    assert.match(await ask('/zone Atlantis'), /^Usage: \/zone <name>\nZones: Colaba, CST, /);
+    assert.match(await ask('/zone Sion'), /^📍 Sion: no reading yet$/);
+});
+
+test('/alerts lists the recorded alerts', async () => {
+    const reply = await ask('/alerts');
+    assert.match(reply, /^🚨 RECENT ALERTS/);
+    assert.match(reply, /🌧️ RAIN STARTED - Dadar: Heavy Rain - 12\.4mm\/hr \(Heavy\)/);
+});
+
+test('/subscribe and /unsubscribe manage the chat\'s subscriber', async () => {
+    assert.match(await ask('/subscribe'), /^Usage: \/subscribe/);
+    assert.match(await ask('/subscribe Dadar, Atlantis'), /^❓ Unknown zone\(s\): Atlantis/);
+    assert.equal(await ask('/subscribe Dadar, Sion'), '✅ Subscribed to: Dadar, Sion\nMinimum intensity: Light');
+
+    const { subscribers } = await (await callApi('/api/subscribers')).json();
+    assert.equal(subscribers.length, 1);
+    assert.deepEqual(subscribers[0].zones, ['Dadar', 'Sion']);
+    assert.deepEqual(subscribers[0].channels, [{ type: 'telegram', chatId: String(CHAT_ID) }]);
+
+    assert.equal(await ask('/unsubscribe Kurla'), 'ℹ️ Not subscribed to Kurla');
+    assert.equal(await ask('/unsubscribe Sion'), '✅ Unsubscribed from Sion. Still subscribed to: Dadar');
+    assert.equal(await ask('/unsubscribe'), '✅ Unsubscribed from all rain alerts');
+    assert.equal(await ask('/unsubscribe'), 'ℹ️ This chat has no subscription');
+
+    const after = await (await callApi('/api/subscribers')).json();
+    assert.equal(after.subscribers.length, 0);
+});
+
+test('non-admins are refused /start_monitoring and /stop_monitoring', async () => {
+    const refusal = '⛔ Only authorised admins can start or stop monitoring';
+    assert.equal(await ask('/start_monitoring'), refusal);
+    assert.equal(await ask('/stop_monitoring'), refusal);
+
+    const { status } = await (await fetch(`${app.url}/api/status`)).json();
+    assert.equal(status.monitoring, false);
+
+    const audit = await waitFor(() => {
+        const file = path.join(dataDir, 'audit.jsonl');
+        const entries = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+        const denied = entries.filter(entry => entry.via === 'telegram');
+        return denied.length === 2 && denied;
+    });
+    assert.deepEqual(audit.map(entry => [entry.actor, entry.action, entry.outcome]), [
+        [`telegram:${USER_ID}`, 'monitoring.start', 'denied'],
+        [`telegram:${USER_ID}`, 'monitoring.stop', 'denied']
+    ]);
+});
+
+test('each getUpdates call asks for the updates after the last one handled', async () => {
+    await ask('/help');
+    const polls = botApi.requests.filter(request => request.path === '/bottest-token/getUpdates');
+
+    assert.equal(polls[0].query.offset, '0');
+    polls.forEach((poll, i) => {
+        if (!poll.returned || !polls[i + 1]) return;
+        assert.equal(polls[i + 1].query.offset, String(Math.max(...poll.returned) + 1));
+    });
+    assert.ok(polls.some(poll => poll.returned && poll.returned.length > 0));
+    // Every update was handed out exactly once
+    assert.deepEqual(polls.flatMap(poll => poll.returned || []), Array.from({ length: nextUpdateId - 500 }, (_, i) => 500 + i));
+});
+
+test('/telegram/webhook rejects a missing or wrong secret', async () => {
+    await server.stopTelegramBot();
+    server.config.TELEGRAM_BOT_MODE = 'webhook';
+    const update = {
+        update_id: nextUpdateId++,
+        message: { message_id: 1, chat: { id: CHAT_ID, type: 'private' }, from: { id: USER_ID }, text: '/help' }
+    };
+    const post = headers => fetch(`${app.url}/telegram/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(update)
+    });
+    const sentBefore = botApi.requests.filter(isSend).length;
+
+    assert.equal((await post({})).status, 401);
+    assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': 'wrong-secret' })).status, 401);
+    assert.equal(botApi.requests.filter(isSend).length, sentBefore);
+
+    assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': 'hook-secret' })).status, 200);
+    const reply = await waitFor(() => botApi.requests.filter(isSend).slice(sentBefore)[0]);
+    assert.match(reply.json.text, /^🌧️ Mumbai Rain Monitor commands:/);
+
+    // Without a configured secret the route refuses everything
+    server.config.TELEGRAM_WEBHOOK_SECRET = '';
+    assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': '' })).status, 503);
+});
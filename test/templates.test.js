@@ -0,0 +1,142 @@
+// The notification template engine - parsing, rendering and the errors an admin sees
+// for a broken template - and the /api/templates route that saves a replacement.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchDataDir, startApp } = require('./helpers');
+
+let server;
+let app;
+
+function render(source, context, format = 'text') {
+    return server.renderTemplate(server.parseTemplate(source), context, format);
+}
+
+async function callApi(route, key, options = {}) {
+    const response = await fetch(`${app.url}${route}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key, ...options.headers }
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    useScratchDataDir();
+    process.env.API_KEYS = 'editor:admin:admin-key,viewer:operator:operator-key';
+    server = require('../server');
+    await server.loadState();
+    app = await startApp(server.app);
+});
+
+after(() => app.close());
+
+test('variables read dotted names and leave anything else blank', () => {
+    const context = { zone: { name: 'Dadar', rainfall: 12.4 }, count: 0, flags: { on: true }, list: [1] };
+    assert.equal(render('{{zone.name}}: {{ zone.rainfall }}mm/hr', context), 'Dadar: 12.4mm/hr');
+    assert.equal(render('[{{count}}]', context), '[0]');
+    assert.equal(render('[{{missing}}|{{zone.missing.deeper}}|{{flags.on}}|{{flags}}|{{list}}]', context), '[||||]');
+    // Only the context's own data is reachable
+    assert.equal(render('[{{constructor}}|{{zone.constructor.name}}|{{toString}}]', context), '[||]');
+});
+
+test('sections repeat over lists and describe the current item', () => {
+    const zones = [{ name: 'Dadar' }, { name: 'Sion' }, { name: 'Kurla' }];
+    const source = '{{#zones}}{{@index}}. {{name}}{{#@first}} (first){{/@first}}{{^@last}}, {{/@last}}{{/zones}}';
+    assert.equal(render(source, { zones }), '1. Dadar (first), 2. Sion, 3. Kurla');
+});
+
+test('sections show a truthy value once, with its fields in scope', () => {
+    const source = '{{#highTide}}Tide {{height}}m in {{city}}{{/highTide}}';
+    assert.equal(render(source, { city: 'Mumbai', highTide: { height: 4.8 } }), 'Tide 4.8m in Mumbai');
+    assert.equal(render('{{#on}}shown{{/on}}', { on: true }), 'shown');
+    for (const value of [undefined, null, false, 0, '', []]) {
+        assert.equal(render('[{{#value}}shown{{/value}}]', { value }), '[]', `for ${JSON.stringify(value)}`);
+    }
+});
+
+test('inverted sections show only for missing, false or empty values', () => {
+    for (const value of [undefined, null, false, 0, '', []]) {
+        assert.equal(render('[{{^value}}none{{/value}}]', { value }), '[none]', `for ${JSON.stringify(value)}`);
+    }
+    for (const value of [true, 'x', 1, [0], {}]) {
+        assert.equal(render('[{{^value}}none{{/value}}]', { value }), '[]', `for ${JSON.stringify(value)}`);
+    }
+});
+
+test('comments and section tags on their own line leave no blank lines', () => {
+    const source = [
+        'Rain alert',
+        '{{! one line per zone }}',
+        '{{#zones}}',
+        '  - {{.}}',
+        '{{/zones}}',
+        '{{^zones}}',
+        'All clear',
+        '{{/zones}}',
+        'End',
+        ''
+    ].join('\n');
+    assert.equal(render(source, { zones: ['Dadar', 'Sion'] }), 'Rain alert\n  - Dadar\n  - Sion\nEnd');
+    assert.equal(render(source, { zones: [] }), 'Rain alert\nAll clear\nEnd');
+});
+
+test('HTML templates escape values; text templates do not', () => {
+    const context = { zone: '<b>Dadar</b> & "Sion"', note: "it's" };
+    assert.equal(render('<p>{{zone}} {{note}}</p>\n', context, 'html'), '<p>&lt;b&gt;Dadar&lt;/b&gt; &amp; &quot;Sion&quot; it&#39;s</p>\n');
+    assert.equal(render('{{zone}} {{note}}\n\n', context, 'text'), '<b>Dadar</b> & "Sion" it\'s');
+});
+
+test('broken templates are rejected with the line at fault', async t => {
+    const cases = [
+        ['Rain in {{zone', /^Unterminated tag on line 1$/],
+        ['Rain alert\n{{#zones}}\n{{/zones}}\nUpdated {{time', /^Unterminated tag on line 4$/],
+        ['{{zone name}}', /^Invalid placeholder "\{\{zone name\}\}" on line 1$/],
+        ['{{}}', /^Invalid placeholder "\{\{\}\}" on line 1$/],
+        ['{{#zones}}{{/zones}}\n{{/zones}}', /^Unexpected \{\{\/zones\}\} on line 2$/],
+        ['{{#zones}}\n{{#name}}\n{{/zones}}\n{{/name}}', /^\{\{\/zones\}\} on line 3 does not close \{\{#name\}\} from line 2$/],
+        ['{{#zones}}\n{{^alerts}}\n{{/alerts}}', /^\{\{#zones\}\} on line 1 is never closed$/]
+    ];
+    for (const [source, message] of cases) {
+        await t.test(JSON.stringify(source), () => assert.throws(() => server.parseTemplate(source), { message }));
+    }
+});
+
+test('PUT /api/templates/:id refuses an invalid source and keeps the template', async () => {
+    const invalid = await callApi('/api/templates/rain-alert-text', 'admin-key', {
+        method: 'PUT',
+        body: JSON.stringify({ source: '{{#rain}}\n{{zone.name}}\n' })
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body, { success: false, error: '{{#rain}} on line 1 is never closed' });
+
+    for (const source of [undefined, '', '   ', 42]) {
+        const { status, body } = await callApi('/api/templates/rain-alert-text', 'admin-key', { method: 'PUT', body: JSON.stringify({ source }) });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'source must be a non-empty string');
+    }
+
+    const { body } = await callApi('/api/templates/rain-alert-text', 'operator-key');
+    assert.equal(body.template.customised, false);
+    assert.equal(body.template.source, body.template.defaultSource);
+});
+
+test('PUT /api/templates/:id saves a valid source for admins only', async () => {
+    const source = '{{#rain}}{{zone.name}}: {{zone.rainfall}}mm/hr{{^@last}}\n{{/@last}}{{/rain}}\n';
+    const put = { method: 'PUT', body: JSON.stringify({ source }) };
+
+    assert.equal((await callApi('/api/templates/rain-alert-text', 'operator-key', put)).status, 403);
+    assert.equal((await callApi('/api/templates/no-such-template', 'admin-key', put)).status, 404);
+
+    const saved = await callApi('/api/templates/rain-alert-text', 'admin-key', put);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.template.customised, true);
+    assert.equal(saved.body.template.updatedBy, 'editor');
+    assert.equal(saved.body.template.source, source);
+
+    // Notifications render from the saved template from now on
+    const preview = await callApi('/api/templates/rain-alert-text/preview', 'operator-key', {
+        method: 'POST',
+        body: JSON.stringify({ data: 'sample' })
+    });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.rendered, 'Colaba: 42.5mm/hr\nCST: 12.4mm/hr\nFort: 3.2mm/hr');
+});